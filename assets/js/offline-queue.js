@@ -0,0 +1,73 @@
+/**
+ * NovaWave Offline Queue
+ * IndexedDB store for form submissions made while offline.
+ * Shared by the page (script.js) and the service worker (sw.js via importScripts).
+ */
+
+(function(scope) {
+  'use strict';
+
+  const DB_NAME = 'novawave-offline';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'form-submissions';
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function withStore(mode, callback) {
+    return openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => {
+        db.close();
+        resolve(request ? request.result : undefined);
+      };
+      transaction.onerror = transaction.onabort = () => {
+        db.close();
+        reject(transaction.error);
+      };
+    }));
+  }
+
+  scope.NovaWaveOfflineQueue = {
+    SYNC_TAG: 'contact-form-sync',
+    MAX_ATTEMPTS: 5,
+
+    isSupported() {
+      return 'indexedDB' in scope;
+    },
+
+    /**
+     * Persist a submission: { endpoint, transport, fields, createdAt, attempts }.
+     * Resolves with the generated id.
+     */
+    add(entry) {
+      return withStore('readwrite', store => store.add(entry));
+    },
+
+    getAll() {
+      return withStore('readonly', store => store.getAll());
+    },
+
+    update(entry) {
+      return withStore('readwrite', store => store.put(entry));
+    },
+
+    remove(id) {
+      return withStore('readwrite', store => store.delete(id));
+    }
+  };
+})(self);
@@ -8,13 +8,38 @@
 
   /**
    * Theme Manager Class - Production Ready
+   * Light/dark/system appearance, high contrast and accent colors, chosen
+   * from a menu anchored to #themeToggle.
    */
   class ThemeManager {
-    constructor() {
+    constructor(shortcuts) {
+      this.shortcuts = shortcuts;
       this.currentTheme = null;
+      this.themeMode = 'system';
+      this.highContrast = false;
+      this.accentColor = null;
       this.themeToggle = null;
+      this.themeMenu = null;
+      this.customAccentInput = null;
       this.prefersDarkQuery = null;
+      this.prefersContrastQuery = null;
       this.storageKey = 'novawave-theme';
+      this.contrastStorageKey = 'novawave-contrast';
+      this.accentStorageKey = 'novawave-accent';
+      this.themeModes = {
+        light: { label: 'Light', icon: 'sun-fill' },
+        dark: { label: 'Dark', icon: 'moon-fill' },
+        system: { label: 'System', icon: 'circle-half' }
+      };
+      this.defaultAccent = '#007AFF';
+      this.accentPresets = [
+        { id: 'blue', name: 'Blue', value: '#007AFF' },
+        { id: 'purple', name: 'Purple', value: '#AF52DE' },
+        { id: 'pink', name: 'Pink', value: '#FF2D55' },
+        { id: 'orange', name: 'Orange', value: '#FF9500' },
+        { id: 'green', name: 'Green', value: '#34C759' },
+        { id: 'teal', name: 'Teal', value: '#30B0C7' }
+      ];
       
       this.init();
     }
@@ -23,6 +48,7 @@
       try {
         this.themeToggle = document.getElementById('themeToggle');
         this.prefersDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.prefersContrastQuery = window.matchMedia('(prefers-contrast: more)');
         
         if (!this.themeToggle) {
           console.warn('Theme toggle button not found');
@@ -30,6 +56,7 @@
           return;
         }
 
+        this.buildThemeMenu();
         this.loadSavedTheme();
         this.bindEvents();
         this.updateUI();
@@ -42,11 +69,17 @@
 
     loadSavedTheme() {
       try {
-        const savedTheme = localStorage.getItem(this.storageKey);
-        const systemPrefersDark = this.prefersDarkQuery?.matches || false;
-        
-        this.currentTheme = savedTheme || (systemPrefersDark ? 'dark' : 'light');
-        this.applyTheme(this.currentTheme);
+        const savedMode = localStorage.getItem(this.storageKey);
+        const savedAccent = localStorage.getItem(this.accentStorageKey);
+
+        this.themeMode = this.isValidMode(savedMode) ? savedMode : 'system';
+        this.highContrast = this.resolveContrast();
+        this.accentColor = this.isValidColor(savedAccent) ? savedAccent : null;
+
+        // theme-init.js already applied this state before first paint, so don't animate
+        this.applyTheme(this.resolveTheme(), false);
+        this.applyContrast(this.highContrast);
+        this.applyAccent(this.accentColor);
         
       } catch (error) {
         console.error('Failed to load saved theme:', error);
@@ -55,33 +88,124 @@
       }
     }
 
-    applyTheme(theme) {
+    resolveTheme() {
+      if (this.themeMode === 'system') {
+        return this.prefersDarkQuery?.matches ? 'dark' : 'light';
+      }
+      return this.themeMode;
+    }
+
+    resolveContrast() {
+      const savedContrast = localStorage.getItem(this.contrastStorageKey);
+      if (savedContrast === 'high' || savedContrast === 'normal') {
+        return savedContrast === 'high';
+      }
+      return this.prefersContrastQuery?.matches || false;
+    }
+
+    applyTheme(theme, animate = true) {
       if (!['light', 'dark'].includes(theme)) {
         console.warn(`Invalid theme: ${theme}. Falling back to light theme.`);
         theme = 'light';
       }
 
       try {
-        document.documentElement.classList.add('theme-transition');
+        if (animate) {
+          document.documentElement.classList.add('theme-transition');
+          setTimeout(() => {
+            document.documentElement.classList.remove('theme-transition');
+          }, 300);
+        }
+
         document.documentElement.setAttribute('data-theme', theme);
         this.currentTheme = theme;
         
-        setTimeout(() => {
-          document.documentElement.classList.remove('theme-transition');
-        }, 300);
-        
       } catch (error) {
         console.error('Failed to apply theme:', error);
       }
     }
 
-    toggleTheme() {
+    applyContrast(isHighContrast) {
+      try {
+        if (isHighContrast) {
+          document.documentElement.setAttribute('data-contrast', 'high');
+        } else {
+          document.documentElement.removeAttribute('data-contrast');
+        }
+      } catch (error) {
+        console.error('Failed to apply contrast:', error);
+      }
+    }
+
+    applyAccent(color) {
+      try {
+        const root = document.documentElement.style;
+        const properties = ['--color-primary', '--color-primary-hover', '--color-primary-light', '--accent-primary-rgb'];
+
+        if (!color || color.toUpperCase() === this.defaultAccent) {
+          properties.forEach(property => root.removeProperty(property));
+          return;
+        }
+
+        const rgb = this.hexToRgb(color);
+        root.setProperty('--color-primary', `rgba(${rgb}, 1)`);
+        root.setProperty('--color-primary-hover', `rgba(${rgb}, 0.8)`);
+        root.setProperty('--color-primary-light', `rgba(${rgb}, 0.1)`);
+        root.setProperty('--accent-primary-rgb', rgb);
+      } catch (error) {
+        console.error('Failed to apply accent color:', error);
+      }
+    }
+
+    setThemeMode(mode) {
+      if (!this.isValidMode(mode)) {
+        console.warn(`Invalid theme mode: ${mode}`);
+        return;
+      }
+
+      try {
+        this.themeMode = mode;
+        this.applyTheme(this.resolveTheme());
+        this.saveTheme(mode);
+        this.updateUI();
+        this.dispatchThemeChangeEvent(this.currentTheme);
+      } catch (error) {
+        console.error('Failed to set theme mode:', error);
+      }
+    }
+
+    setHighContrast(enabled) {
+      try {
+        this.highContrast = Boolean(enabled);
+        this.applyContrast(this.highContrast);
+        this.savePreference(this.contrastStorageKey, this.highContrast ? 'high' : 'normal');
+        this.updateUI();
+        this.dispatchThemeChangeEvent(this.currentTheme);
+      } catch (error) {
+        console.error('Failed to set contrast:', error);
+      }
+    }
+
+    setAccentColor(color) {
+      if (!this.isValidColor(color)) {
+        console.warn(`Invalid accent color: ${color}`);
+        return;
+      }
+
       try {
-        const newTheme = this.currentTheme === 'dark' ? 'light' : 'dark';
-        this.applyTheme(newTheme);
-        this.saveTheme(newTheme);
+        this.accentColor = color.toUpperCase();
+        this.applyAccent(this.accentColor);
+        this.savePreference(this.accentStorageKey, this.accentColor);
         this.updateUI();
-        this.dispatchThemeChangeEvent(newTheme);
+        this.dispatchThemeChangeEvent(this.currentTheme);
+      } catch (error) {
+        console.error('Failed to set accent color:', error);
+      }
+    }
+
+    toggleTheme() {
+      try {
+        this.setThemeMode(this.currentTheme === 'dark' ? 'light' : 'dark');
         
       } catch (error) {
         console.error('Failed to toggle theme:', error);
@@ -89,13 +213,154 @@
     }
 
     saveTheme(theme) {
+      this.savePreference(this.storageKey, theme);
+    }
+
+    savePreference(key, value) {
       try {
-        localStorage.setItem(this.storageKey, theme);
+        localStorage.setItem(key, value);
       } catch (error) {
         console.error('Failed to save theme preference:', error);
       }
     }
 
+    // Labels carry data-i18n, so I18n translates the menu with the page
+    buildThemeMenu() {
+      try {
+        const modeItems = Object.entries(this.themeModes).map(([mode, { label, icon }]) => `
+          <button type="button" class="theme-menu-item" role="menuitemradio" data-theme-mode="${mode}" aria-checked="false" tabindex="-1">
+            <i class="bi bi-${icon}" aria-hidden="true"></i>
+            <span data-i18n="theme.modes.${mode}">${label}</span>
+          </button>
+        `).join('');
+
+        const accentItems = this.accentPresets.map(({ id, name, value }) => `
+          <button type="button" class="theme-accent-swatch" role="menuitemradio" data-accent="${value}"
+                  aria-checked="false" aria-label="${name} accent" title="${name}" tabindex="-1"
+                  data-i18n-attr="aria-label=theme.accentLabels.${id} title=theme.accents.${id}"
+                  style="--swatch-color: ${value}"></button>
+        `).join('');
+
+        this.themeMenu = document.createElement('div');
+        this.themeMenu.className = 'theme-menu';
+        this.themeMenu.id = 'themeMenu';
+        this.themeMenu.setAttribute('role', 'menu');
+        this.themeMenu.setAttribute('aria-label', 'Theme settings');
+        this.themeMenu.dataset.i18nAttr = 'aria-label=theme.settings';
+        this.themeMenu.hidden = true;
+        this.themeMenu.innerHTML = `
+          <div class="theme-menu-section" role="group" aria-labelledby="themeMenuAppearance">
+            <div class="theme-menu-label" id="themeMenuAppearance" data-i18n="theme.appearance">Appearance</div>
+            ${modeItems}
+          </div>
+          <div class="theme-menu-section" role="group" aria-labelledby="themeMenuContrast">
+            <div class="theme-menu-label" id="themeMenuContrast" data-i18n="theme.contrast">Contrast</div>
+            <button type="button" class="theme-menu-item" role="menuitemcheckbox" data-theme-contrast aria-checked="false" tabindex="-1">
+              <i class="bi bi-eye-fill" aria-hidden="true"></i>
+              <span data-i18n="theme.highContrast">High contrast</span>
+            </button>
+          </div>
+          <div class="theme-menu-section" role="group" aria-labelledby="themeMenuAccent">
+            <div class="theme-menu-label" id="themeMenuAccent" data-i18n="theme.accent">Accent color</div>
+            <div class="theme-accent-swatches">
+              ${accentItems}
+              <button type="button" class="theme-accent-swatch theme-accent-custom" role="menuitemradio" data-accent-custom
+                      aria-checked="false" aria-label="Custom accent color" title="Custom" tabindex="-1"
+                      data-i18n-attr="aria-label=theme.customAccentLabel title=theme.customAccent">
+                <i class="bi bi-palette" aria-hidden="true"></i>
+              </button>
+            </div>
+            <input type="color" class="sr-only" tabindex="-1" aria-hidden="true" data-accent-input>
+          </div>
+        `;
+
+        this.themeToggle.parentNode.appendChild(this.themeMenu);
+        this.customAccentInput = this.themeMenu.querySelector('[data-accent-input]');
+
+        this.themeToggle.setAttribute('aria-haspopup', 'menu');
+        this.themeToggle.setAttribute('aria-controls', this.themeMenu.id);
+        this.themeToggle.setAttribute('aria-expanded', 'false');
+      } catch (error) {
+        console.error('Failed to build theme menu:', error);
+      }
+    }
+
+    getMenuItems() {
+      return this.themeMenu ? Array.from(this.themeMenu.querySelectorAll('[role^="menuitem"]')) : [];
+    }
+
+    isMenuOpen() {
+      return Boolean(this.themeMenu && !this.themeMenu.hidden);
+    }
+
+    openMenu() {
+      if (!this.themeMenu) return;
+
+      this.themeMenu.hidden = false;
+      this.themeToggle.setAttribute('aria-expanded', 'true');
+
+      const items = this.getMenuItems();
+      const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+      (checked || items[0])?.focus();
+    }
+
+    closeMenu(restoreFocus = true) {
+      if (!this.isMenuOpen()) return;
+
+      this.themeMenu.hidden = true;
+      this.themeToggle.setAttribute('aria-expanded', 'false');
+      if (restoreFocus) {
+        this.themeToggle.focus();
+      }
+    }
+
+    handleMenuKeydown(event) {
+      const items = this.getMenuItems();
+      const index = items.indexOf(document.activeElement);
+
+      switch (event.key) {
+        case 'ArrowDown':
+        case 'ArrowRight':
+          event.preventDefault();
+          items[(index + 1) % items.length].focus();
+          break;
+        case 'ArrowUp':
+        case 'ArrowLeft':
+          event.preventDefault();
+          items[(index - 1 + items.length) % items.length].focus();
+          break;
+        case 'Home':
+          event.preventDefault();
+          items[0].focus();
+          break;
+        case 'End':
+          event.preventDefault();
+          items[items.length - 1].focus();
+          break;
+        case 'Escape':
+          event.preventDefault();
+          event.stopPropagation();
+          this.closeMenu();
+          break;
+        case 'Tab':
+          this.closeMenu(false);
+          break;
+      }
+    }
+
+    handleMenuSelection(item) {
+      if (item.dataset.themeMode) {
+        this.setThemeMode(item.dataset.themeMode);
+      } else if ('themeContrast' in item.dataset) {
+        this.setHighContrast(!this.highContrast);
+      } else if ('accentCustom' in item.dataset) {
+        this.customAccentInput.value = this.accentColor || this.defaultAccent;
+        this.customAccentInput.click();
+      } else if (item.dataset.accent) {
+        this.setAccentColor(item.dataset.accent);
+      }
+    }
+
     updateUI() {
       if (!this.themeToggle) return;
 
@@ -113,9 +378,29 @@
           }
         }
         
-        this.themeToggle.setAttribute('aria-label', 
-          `Switch to ${this.currentTheme === 'dark' ? 'light' : 'dark'} theme`
-        );
+        const mode = this.themeModes[this.themeMode];
+        this.themeToggle.setAttribute('aria-label', i18n.t('theme.toggle', 'Theme settings (current: {mode})', {
+          mode: i18n.t(`theme.modes.${this.themeMode}`, mode.label)
+        }));
+
+        if (this.themeMenu) {
+          const accent = (this.accentColor || this.defaultAccent).toUpperCase();
+          const isPreset = this.accentPresets.some(preset => preset.value === accent);
+
+          this.themeMenu.querySelectorAll('[data-theme-mode]').forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.themeMode === this.themeMode));
+          });
+          this.themeMenu.querySelectorAll('[data-theme-contrast]').forEach(item => {
+            item.setAttribute('aria-checked', String(this.highContrast));
+          });
+          this.themeMenu.querySelectorAll('[data-accent]').forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.accent === accent));
+          });
+          this.themeMenu.querySelectorAll('[data-accent-custom]').forEach(item => {
+            item.setAttribute('aria-checked', String(!isPreset));
+            item.style.setProperty('--swatch-color', isPreset ? '' : accent);
+          });
+        }
         
       } catch (error) {
         console.error('Failed to update theme UI:', error);
@@ -125,34 +410,108 @@
     bindEvents() {
       try {
         if (this.themeToggle) {
-          this.themeToggle.addEventListener('click', () => this.toggleTheme());
+          this.themeToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.isMenuOpen()) {
+              this.closeMenu();
+            } else {
+              this.openMenu();
+            }
+          });
+
+          this.themeToggle.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' && !this.isMenuOpen()) {
+              e.preventDefault();
+              this.openMenu();
+            }
+          });
+        }
+
+        if (this.themeMenu) {
+          this.themeMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[role^="menuitem"]');
+            if (item) {
+              this.handleMenuSelection(item);
+            }
+          });
+
+          this.themeMenu.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
+
+          this.customAccentInput.addEventListener('input', (e) => {
+            this.setAccentColor(e.target.value);
+          });
+
+          document.addEventListener('click', (e) => {
+            if (this.isMenuOpen() && !this.themeMenu.contains(e.target)) {
+              this.closeMenu(false);
+            }
+          });
         }
 
         if (this.prefersDarkQuery) {
-          this.prefersDarkQuery.addEventListener('change', (e) => {
-            if (!localStorage.getItem(this.storageKey)) {
-              this.applyTheme(e.matches ? 'dark' : 'light');
+          this.prefersDarkQuery.addEventListener('change', () => {
+            if (this.themeMode === 'system') {
+              this.applyTheme(this.resolveTheme());
               this.updateUI();
+              this.dispatchThemeChangeEvent(this.currentTheme, 'system');
             }
           });
         }
 
-        document.addEventListener('keydown', (e) => {
-          if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'T') {
-            e.preventDefault();
-            this.toggleTheme();
-          }
-        });
+        // Keep every open NovaWave tab in sync
+        window.addEventListener('storage', (e) => this.handleStorageChange(e));
+
+        // The toggle's label names the current mode in the page language
+        document.addEventListener('localechange', () => this.updateUI());
+
+        if (this.prefersContrastQuery) {
+          this.prefersContrastQuery.addEventListener('change', () => {
+            this.highContrast = this.resolveContrast();
+            this.applyContrast(this.highContrast);
+            this.updateUI();
+          });
+        }
+
+        if (this.shortcuts) {
+          this.shortcuts.register({
+            id: 'toggle-theme',
+            keys: 'Mod+Shift+T',
+            description: 'Switch between light and dark theme',
+            handler: () => this.toggleTheme()
+          });
+        }
         
       } catch (error) {
         console.error('Failed to bind theme events:', error);
       }
     }
 
-    dispatchThemeChangeEvent(theme) {
+    handleStorageChange(event) {
+      const themeKeys = [this.storageKey, this.contrastStorageKey, this.accentStorageKey];
+
+      // A null key means localStorage was cleared
+      if (event.key !== null && !themeKeys.includes(event.key)) return;
+
+      try {
+        this.loadSavedTheme();
+        this.updateUI();
+        this.dispatchThemeChangeEvent(this.currentTheme, 'storage');
+      } catch (error) {
+        console.error('Failed to sync theme from another tab:', error);
+      }
+    }
+
+    dispatchThemeChangeEvent(theme, source = 'user') {
       try {
         const event = new CustomEvent('themechange', {
-          detail: { theme, timestamp: Date.now() }
+          detail: {
+            theme,
+            mode: this.themeMode,
+            highContrast: this.highContrast,
+            accent: this.accentColor || this.defaultAccent,
+            source,
+            timestamp: Date.now()
+          }
         });
         document.dispatchEvent(event);
       } catch (error) {
@@ -171,16 +530,34 @@
       }
     }
 
+    isValidMode(mode) {
+      return Object.prototype.hasOwnProperty.call(this.themeModes, mode);
+    }
+
+    isValidColor(color) {
+      return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+    }
+
+    hexToRgb(hex) {
+      const value = parseInt(hex.slice(1), 16);
+      return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+    }
+
     getCurrentTheme() {
       return this.currentTheme;
     }
+
+    getThemeMode() {
+      return this.themeMode;
+    }
   }
 
   /**
    * Navigation Manager Class
    */
   class NavigationManager {
-    constructor() {
+    constructor(shortcuts) {
+      this.shortcuts = shortcuts;
       this.navbar = null;
       this.navToggle = null;
       this.navLinks = null;
@@ -225,11 +602,15 @@
         });
 
         // Close mobile menu on escape key
-        document.addEventListener('keydown', (e) => {
-          if (e.key === 'Escape' && this.navLinks && this.navLinks.classList.contains('active')) {
-            this.closeMobileMenu();
-          }
-        });
+        if (this.shortcuts) {
+          this.shortcuts.register({
+            id: 'close-menu',
+            keys: 'Escape',
+            description: 'Close the navigation menu',
+            when: () => Boolean(this.navLinks && this.navLinks.classList.contains('active')),
+            handler: () => this.closeMobileMenu()
+          });
+        }
 
         // Scroll effect with throttling
         let scrollTimeout;
@@ -267,7 +648,7 @@
           this.navLinks.classList.add('active');
           this.navToggle.classList.add('active');
           this.navToggle.setAttribute('aria-expanded', 'true');
-          document.body.style.overflow = 'hidden';
+          scrollLock.lock(this);
         }
       } catch (error) {
         console.error('Failed to open mobile menu:', error);
@@ -280,7 +661,7 @@
           this.navLinks.classList.remove('active');
           this.navToggle.classList.remove('active');
           this.navToggle.setAttribute('aria-expanded', 'false');
-          document.body.style.overflow = '';
+          scrollLock.unlock(this);
         }
       } catch (error) {
         console.error('Failed to close mobile menu:', error);
@@ -313,92 +694,536 @@
     }
   }
 
-  // ===== Counter Animation Manager =====
-  class CounterManager {
+  // ===== Scroll Lock =====
+  /**
+   * Reference-counted body scroll lock shared by the mobile menu and modal
+   * dialogs, so releasing one owner never re-enables scrolling under another.
+   */
+  class ScrollLock {
     constructor() {
-      this.animatedCounters = new Set();
-      this.observerOptions = {
-        threshold: 0.1,
-        rootMargin: '0px 0px -50px 0px'
-      };
-      this.defaultDuration = 2000;
-      this.init();
+      this.owners = new Set();
+      this.previousOverflow = '';
     }
 
-    init() {
-      try {
-        this.setupIntersectionObserver();
-        this.observeElements();
-      } catch (error) {
-        console.error('Failed to initialize CounterManager:', error);
+    lock(owner) {
+      if (this.owners.size === 0) {
+        this.previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
       }
+      this.owners.add(owner);
     }
 
-    setupIntersectionObserver() {
-      try {
-        this.observer = new IntersectionObserver((entries) => {
-          entries.forEach(entry => {
-            if (entry.isIntersecting) {
-              this.handleElementIntersection(entry.target);
-              this.observer.unobserve(entry.target);
-            }
-          });
-        }, this.observerOptions);
-      } catch (error) {
-        console.error('Failed to setup intersection observer:', error);
-      }
+    unlock(owner) {
+      if (!this.owners.delete(owner) || this.owners.size > 0) return;
+      document.body.style.overflow = this.previousOverflow;
     }
 
-    handleElementIntersection(element) {
-      try {
-        element.classList.add('fade-in');
-        
-        if (element.classList.contains('stats')) {
-          this.animateStatsSection(element);
-        }
-      } catch (error) {
-        console.error('Failed to handle element intersection:', error);
-      }
+    isLocked() {
+      return this.owners.size > 0;
     }
+  }
 
-    animateStatsSection(statsSection) {
-      try {
-        const statNumbers = statsSection.querySelectorAll('.stat-number');
-        statNumbers.forEach(stat => {
-          if (!this.animatedCounters.has(stat)) {
-            this.animatedCounters.add(stat);
-            this.animateCounter(stat);
-          }
-        });
-      } catch (error) {
-        console.error('Failed to animate stats section:', error);
+  const scrollLock = new ScrollLock();
+
+  // ===== Text Helpers =====
+  /**
+   * Replaces an element's content with text, wrapping every case-insensitive
+   * occurrence of query in <mark>. The text is never parsed as HTML.
+   */
+  function highlightText(element, text, query) {
+    element.textContent = '';
+    if (!query) {
+      element.textContent = text;
+      return;
+    }
+
+    const lower = text.toLowerCase();
+    let position = 0;
+    let index = lower.indexOf(query);
+
+    while (index !== -1) {
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(index, index + query.length);
+      element.append(text.slice(position, index), mark);
+      position = index + query.length;
+      index = lower.indexOf(query, position);
+    }
+
+    element.append(text.slice(position));
+  }
+
+  /**
+   * Fuzzy-matches query against text. A plain substring match ranks highest,
+   * otherwise the query's characters must appear in order, scoring extra for
+   * runs and word starts and less for gaps. Returns { score, indices } or null.
+   */
+  function fuzzyMatch(query, text) {
+    const needle = query.trim().toLowerCase();
+    const haystack = text.toLowerCase();
+    if (!needle) return { score: 0, indices: [] };
+
+    const isWordStart = (index) => index === 0 || /[\s\-_/#.,:]/.test(haystack[index - 1]);
+    const start = haystack.indexOf(needle);
+    if (start !== -1) {
+      return {
+        score: 100 + (isWordStart(start) ? 20 : 0) - start - haystack.length * 0.01,
+        indices: Array.from({ length: needle.length }, (value, offset) => start + offset)
+      };
+    }
+
+    const characters = needle.replace(/\s+/g, '');
+    const indices = [];
+    let score = 0;
+
+    for (let index = 0; index < haystack.length && indices.length < characters.length; index++) {
+      if (haystack[index] !== characters[indices.length]) continue;
+
+      const previous = indices[indices.length - 1];
+      const gap = previous === undefined ? 0 : index - previous - 1;
+      score += 1 + (gap === 0 ? 4 : 0) + (isWordStart(index) ? 3 : 0) - Math.min(gap, 10) * 0.5;
+      indices.push(index);
+    }
+
+    if (indices.length < characters.length) return null;
+    return { score: score - haystack.length * 0.01, indices };
+  }
+
+  /**
+   * Replaces an element's content with text, wrapping the characters at
+   * indices in <mark>. The text is never parsed as HTML.
+   */
+  function highlightIndices(element, text, indices) {
+    element.textContent = '';
+    const marked = new Set(indices);
+    let run = '';
+    let runMarked = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runMarked) {
+        const mark = document.createElement('mark');
+        mark.textContent = run;
+        element.appendChild(mark);
+      } else {
+        element.append(run);
+      }
+      run = '';
+    };
+
+    for (let index = 0; index < text.length; index++) {
+      if (marked.has(index) !== runMarked) {
+        flush();
+        runMarked = marked.has(index);
       }
+      run += text[index];
     }
+    flush();
+  }
 
-    animateCounter(element) {
-      try {
-        const target = this.parseTargetValue(element);
-        const suffix = this.determineSuffix(element, target);
-        const formattedTarget = this.formatTarget(target, suffix);
-        
-        this.runCounterAnimation(element, formattedTarget.value, formattedTarget.suffix);
-      } catch (error) {
-        console.error('Failed to animate counter:', error);
+  // ===== Locale Formatting =====
+  /**
+   * Intl.NumberFormat wrapper shared by prices and counters so every number
+   * on the page is formatted for the same locale. Formatters are cached by
+   * locale and options, and dropped when the page language changes.
+   */
+  class LocaleFormatter {
+    constructor() {
+      this.formatters = new Map();
+      this.fallbackLocale = 'en-US';
+
+      document.addEventListener('localechange', () => this.formatters.clear());
+    }
+
+    /**
+     * The page language decides the locale. The browser's own locale is only
+     * used for its region ("fr-CA" on a French page), when the languages match.
+     */
+    getLocale() {
+      const language = i18n.getLanguage() || document.documentElement.lang;
+      const browserLocale = navigator.language || '';
+
+      if (!language) return browserLocale || this.fallbackLocale;
+      if (browserLocale.toLowerCase().split('-')[0] === language.toLowerCase().split('-')[0]) {
+        return browserLocale;
       }
+      return language;
     }
 
-    parseTargetValue(element) {
-      try {
-        const targetAttr = element.dataset.target;
-        if (targetAttr) {
-          return parseInt(targetAttr);
+    getFormatter(options = {}) {
+      const locale = this.getLocale();
+      const key = `${locale}|${JSON.stringify(options)}`;
+
+      if (!this.formatters.has(key)) {
+        try {
+          this.formatters.set(key, new Intl.NumberFormat(locale, options));
+        } catch (error) {
+          console.error('Failed to create number format:', error);
+          this.formatters.set(key, new Intl.NumberFormat(this.fallbackLocale, options));
         }
-        
-        const textContent = element.textContent.replace(/[^\d.]/g, '');
-        return parseFloat(textContent) || 0;
-      } catch (error) {
-        console.error('Failed to parse target value:', error);
-        return 0;
+      }
+
+      return this.formatters.get(key);
+    }
+
+    formatNumber(value, options = {}) {
+      return this.getFormatter(options).format(value);
+    }
+
+    /**
+     * Whole amounts drop the minor unit ("$12"), others keep it ("$9.60").
+     */
+    formatCurrency(value, currency) {
+      return this.formatNumber(value, this.getCurrencyOptions(value, currency));
+    }
+
+    /**
+     * Splits a formatted price into its symbol and amount, and reports which
+     * comes first in the current locale ("$12" vs "12 €").
+     */
+    getCurrencyParts(value, currency) {
+      const parts = this.getFormatter(this.getCurrencyOptions(value, currency)).formatToParts(value);
+      const symbolIndex = parts.findIndex(part => part.type === 'currency');
+      const integerIndex = parts.findIndex(part => part.type === 'integer');
+
+      return {
+        symbol: symbolIndex >= 0 ? parts[symbolIndex].value : currency,
+        amount: parts
+          .filter(part => part.type !== 'currency')
+          .map(part => part.value)
+          .join('')
+          .trim(),
+        symbolFirst: symbolIndex < integerIndex
+      };
+    }
+
+    getCurrencyOptions(value, currency) {
+      const fractionDigits = Number.isInteger(value) ? 0 : 2;
+      return {
+        style: 'currency',
+        currency,
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+      };
+    }
+  }
+
+  const localeFormatter = new LocaleFormatter();
+
+  // ===== Internationalisation =====
+  /**
+   * Translates page copy and UI strings. English is the source language: it
+   * stays in the markup and in the fallbacks passed to t(), and every other
+   * language loads a catalog from assets/data/i18n/<language>.json.
+   *   data-i18n="key"                      Replaces the element's text
+   *   data-i18n-attr="attr=key attr=key"   Replaces attribute values
+   * Switching language dispatches a `localechange` event on document.
+   */
+  class I18n {
+    constructor() {
+      this.storageKey = 'novawave-language';
+      this.catalogUrl = '/assets/data/i18n/{language}.json';
+      this.sourceLanguage = 'en';
+      this.languages = {
+        en: 'English',
+        es: 'Español',
+        fr: 'Français'
+      };
+      this.language = this.sourceLanguage;
+      this.catalog = {};
+      this.catalogs = new Map();
+      this.sources = new WeakMap();
+      this.request = null;
+    }
+
+    init() {
+      try {
+        this.pickers = document.querySelectorAll('.language-picker');
+        this.selects = document.querySelectorAll('.language-select');
+        this.setupLanguageSelects();
+
+        const language = this.detectLanguage();
+        if (language !== this.language) {
+          this.setLanguage(language, { persist: false });
+        }
+
+        window.addEventListener('storage', (event) => {
+          if (event.key !== this.storageKey && event.key !== null) return;
+          this.setLanguage(this.detectLanguage(), { persist: false });
+        });
+      } catch (error) {
+        console.error('Failed to initialize i18n:', error);
+      }
+    }
+
+    /**
+     * ?lang= wins, then a saved choice, then the browser's languages and
+     * finally the document's own lang attribute.
+     */
+    detectLanguage() {
+      const candidates = [new URLSearchParams(window.location.search).get('lang')];
+
+      try {
+        candidates.push(localStorage.getItem(this.storageKey));
+      } catch (error) {
+        console.warn('Failed to read saved language:', error);
+      }
+
+      candidates.push(...(navigator.languages || [navigator.language]), document.documentElement.lang);
+
+      const match = candidates
+        .map(candidate => String(candidate || '').toLowerCase().split('-')[0])
+        .find(candidate => this.isSupported(candidate));
+
+      return match || this.sourceLanguage;
+    }
+
+    isSupported(language) {
+      return Object.prototype.hasOwnProperty.call(this.languages, language);
+    }
+
+    getLanguage() {
+      return this.language;
+    }
+
+    setupLanguageSelects() {
+      this.selects.forEach(select => {
+        select.innerHTML = '';
+        Object.entries(this.languages).forEach(([code, name]) => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.lang = code;
+          option.textContent = name;
+          select.appendChild(option);
+        });
+
+        select.value = this.language;
+        select.addEventListener('change', () => this.setLanguage(select.value));
+      });
+
+      // Hidden in the markup so the picker never shows without script
+      this.pickers.forEach(picker => {
+        picker.hidden = false;
+      });
+    }
+
+    /**
+     * Loads the language's catalog and re-translates the page. Resolves to
+     * false when the language is unknown or its catalog can't be loaded.
+     */
+    async setLanguage(language, { persist = true } = {}) {
+      if (!this.isSupported(language)) return false;
+
+      const request = {};
+      this.request = request;
+
+      try {
+        const catalog = language === this.sourceLanguage ? {} : await this.loadCatalog(language);
+        if (this.request !== request) return false;
+
+        const previous = this.language;
+        this.language = language;
+        this.catalog = catalog;
+        document.documentElement.lang = language;
+
+        if (persist) {
+          try {
+            localStorage.setItem(this.storageKey, language);
+          } catch (error) {
+            console.warn('Failed to save language:', error);
+          }
+        }
+
+        this.translate(document);
+        this.selects.forEach(select => {
+          select.value = language;
+        });
+
+        if (previous !== language) {
+          document.dispatchEvent(new CustomEvent('localechange', { detail: { language, previous } }));
+        }
+        return true;
+      } catch (error) {
+        console.error('Failed to set language:', error);
+        this.selects.forEach(select => {
+          select.value = this.language;
+        });
+        return false;
+      }
+    }
+
+    loadCatalog(language) {
+      if (!this.catalogs.has(language)) {
+        const request = fetch(this.catalogUrl.replace('{language}', language))
+          .then(response => {
+            if (!response.ok) throw new Error(`Catalog request failed with status ${response.status}`);
+            return response.json();
+          })
+          .catch(error => {
+            this.catalogs.delete(language);
+            throw error;
+          });
+        this.catalogs.set(language, request);
+      }
+      return this.catalogs.get(language);
+    }
+
+    /**
+     * Looks key up in the current catalog ("contact.form.title"), falling
+     * back to the English text, and fills {name} placeholders from params.
+     */
+    t(key, fallback = key, params = {}) {
+      const entry = key.split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        this.catalog
+      );
+      const template = typeof entry === 'string' ? entry : fallback;
+
+      return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+      );
+    }
+
+    /**
+     * Applies the current language to every data-i18n element under root.
+     * The English text is read from the markup the first time an element is
+     * translated, so switching back to English needs no catalog.
+     */
+    translate(root = document) {
+      const select = (selector) => {
+        const elements = Array.from(root.querySelectorAll(selector));
+        return root.matches && root.matches(selector) ? [root, ...elements] : elements;
+      };
+
+      select('[data-i18n]').forEach(element => {
+        const source = this.getSource(element);
+        if (source.text === null) {
+          source.text = element.textContent.trim().replace(/\s+/g, ' ');
+        }
+        element.textContent = this.t(element.dataset.i18n, source.text);
+      });
+
+      select('[data-i18n-attr]').forEach(element => {
+        const source = this.getSource(element);
+
+        element.dataset.i18nAttr.split(/\s+/).filter(Boolean).forEach(binding => {
+          const [attribute, key] = binding.split('=');
+          if (!attribute || !key) return;
+
+          if (!(attribute in source.attributes)) {
+            source.attributes[attribute] = element.getAttribute(attribute);
+          }
+          if (source.attributes[attribute] === null) return;
+
+          element.setAttribute(attribute, this.t(key, source.attributes[attribute]));
+        });
+      });
+    }
+
+    getSource(element) {
+      if (!this.sources.has(element)) {
+        this.sources.set(element, { text: null, attributes: {} });
+      }
+      return this.sources.get(element);
+    }
+  }
+
+  const i18n = new I18n();
+
+  // ===== Counter Animation Manager =====
+  class CounterManager {
+    constructor() {
+      this.animatedCounters = new Set();
+      this.finishedCounters = new Map();
+      this.observerOptions = {
+        threshold: 0.1,
+        rootMargin: '0px 0px -50px 0px'
+      };
+      this.defaultDuration = 2000;
+      this.init();
+    }
+
+    init() {
+      try {
+        this.setupIntersectionObserver();
+        this.observeElements();
+
+        // Finished counters keep their last text; format them again
+        document.addEventListener('localechange', () => {
+          this.finishedCounters.forEach(({ target, suffix }, element) => {
+            this.updateElementText(element, target, suffix, target);
+          });
+        });
+      } catch (error) {
+        console.error('Failed to initialize CounterManager:', error);
+      }
+    }
+
+    setupIntersectionObserver() {
+      try {
+        this.observer = new IntersectionObserver((entries) => {
+          entries.forEach(entry => {
+            if (entry.isIntersecting) {
+              this.handleElementIntersection(entry.target);
+              this.observer.unobserve(entry.target);
+            }
+          });
+        }, this.observerOptions);
+      } catch (error) {
+        console.error('Failed to setup intersection observer:', error);
+      }
+    }
+
+    handleElementIntersection(element) {
+      try {
+        element.classList.add('fade-in');
+        
+        if (element.classList.contains('stats')) {
+          this.animateStatsSection(element);
+        }
+      } catch (error) {
+        console.error('Failed to handle element intersection:', error);
+      }
+    }
+
+    animateStatsSection(statsSection) {
+      try {
+        const statNumbers = statsSection.querySelectorAll('.stat-number');
+        statNumbers.forEach(stat => {
+          if (!this.animatedCounters.has(stat)) {
+            this.animatedCounters.add(stat);
+            this.animateCounter(stat);
+          }
+        });
+      } catch (error) {
+        console.error('Failed to animate stats section:', error);
+      }
+    }
+
+    animateCounter(element) {
+      try {
+        const target = this.parseTargetValue(element);
+        const suffix = this.determineSuffix(element, target);
+        const formattedTarget = this.formatTarget(target, suffix);
+        
+        this.runCounterAnimation(element, formattedTarget.value, formattedTarget.suffix);
+      } catch (error) {
+        console.error('Failed to animate counter:', error);
+      }
+    }
+
+    parseTargetValue(element) {
+      try {
+        const targetAttr = element.dataset.target;
+        if (targetAttr) {
+          return parseFloat(targetAttr);
+        }
+        
+        const textContent = element.textContent.replace(/[^\d.]/g, '');
+        return parseFloat(textContent) || 0;
+      } catch (error) {
+        console.error('Failed to parse target value:', error);
+        return 0;
       }
     }
 
@@ -460,20 +1285,24 @@
       try {
         let displayValue;
         
-        if (suffix === '%' || suffix === '★') {
-          displayValue = currentValue.toFixed(1);
-        } else if (suffix.includes('M') || suffix.includes('K')) {
-          displayValue = currentValue.toFixed(1);
+        if (suffix === '%' || suffix === '★' || suffix.includes('M') || suffix.includes('K')) {
+          displayValue = localeFormatter.formatNumber(currentValue, {
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+          });
         } else {
-          displayValue = Math.floor(currentValue).toLocaleString();
+          displayValue = localeFormatter.formatNumber(Math.floor(currentValue));
         }
         
         element.textContent = displayValue + suffix;
         
         // Announce to screen readers when animation completes
-        if (currentValue >= targetValue && !element.hasAttribute('aria-live')) {
-          element.setAttribute('aria-live', 'polite');
+        if (currentValue >= targetValue) {
+          if (!element.hasAttribute('aria-live')) {
+            element.setAttribute('aria-live', 'polite');
+          }
           element.setAttribute('aria-label', `${displayValue}${suffix}`);
+          this.finishedCounters.set(element, { target: targetValue, suffix });
         }
       } catch (error) {
         console.error('Failed to update element text:', error);
@@ -576,6 +1405,30 @@
       this.monthlyPrices = document.querySelectorAll('.monthly-price, .price-amount.monthly-price');
       this.annualPrices = document.querySelectorAll('.annual-price, .price-amount.annual-price');
       this.pricingCards = document.querySelectorAll('.pricing-card');
+      this.planElements = document.querySelectorAll('[data-plan]');
+      this.discountBadges = document.querySelectorAll('.discount-badge');
+      this.calculator = document.getElementById('seatCalculator');
+      this.seatRange = document.getElementById('seatCountRange');
+      this.seatInput = document.getElementById('seatCountInput');
+      this.seatTierHint = document.getElementById('seatTierHint');
+      this.seatTiers = document.getElementById('seatTiers');
+      this.calculatorResults = document.getElementById('seatCalculatorResults');
+      this.currencyPickers = document.querySelectorAll('.currency-picker');
+      this.currencySelects = document.querySelectorAll('.currency-select');
+      this.currencyStorageKey = 'novawave-currency';
+      this.urlParams = { billing: 'billing', plan: 'plan', seats: 'seats', currency: 'currency' };
+      // Only the pricing page opts in; the home page's cards leave the URL alone
+      this.syncsUrl = document.querySelector('[data-pricing-url-state]') !== null;
+      this.restoringUrl = false;
+      this.currency = null;
+      this.selectedPlan = null;
+      this.calculatorReady = false;
+      this.seats = 10;
+      this.announceTimeout = null;
+      this.announceDelay = 600;
+      this.configUrl = '/assets/data/pricing.json';
+      this.config = null;
+      this.ready = Promise.resolve(null);
       this.isAnnual = false;
       this.animationDuration = 300;
       
@@ -590,7 +1443,9 @@
         }
 
         this.setupInitialState();
+        this.applyUrlState();
         this.bindEvents();
+        this.ready = this.loadConfig();
       } catch (error) {
         console.error('Failed to initialize PricingManager:', error);
       }
@@ -623,10 +1478,11 @@
           price.setAttribute('aria-hidden', 'false');
         });
 
-        // Set initial accessibility attributes
-        this.billingToggle.setAttribute('aria-label', 'Switch to annual billing');
-        this.billingToggle.setAttribute('role', 'switch');
-        this.billingToggle.setAttribute('aria-checked', 'false');
+        // Set initial accessibility attributes on the control itself, not a wrapper
+        const toggle = this.getToggleInput() || this.billingToggle;
+        toggle.setAttribute('aria-label', i18n.t('prices.switchToAnnual', 'Switch to annual billing'));
+        toggle.setAttribute('role', 'switch');
+        toggle.setAttribute('aria-checked', 'false');
       } catch (error) {
         console.error('Failed to setup initial state:', error);
       }
@@ -651,144 +1507,6694 @@
         this.billingToggle.addEventListener('blur', () => {
           this.billingToggle.style.outline = '';
         });
+
+        this.pricingCards.forEach(card => {
+          if (!card.dataset.plan) return;
+          // A second click on the selected card clears the selection
+          card.addEventListener('click', () => {
+            this.selectPlan(card.dataset.plan === this.selectedPlan ? null : card.dataset.plan);
+          });
+        });
+
+        document.addEventListener('localechange', () => {
+          this.updateAccessibilityAttributes(this.isAnnual);
+          this.renderLocale();
+        });
+
+        // replaceState keeps one entry per page, but hash links add entries
+        // that carry the query string; restore it when moving between them
+        if (this.syncsUrl) {
+          window.addEventListener('popstate', () => this.applyUrlState());
+        }
       } catch (error) {
         console.error('Failed to bind events:', error);
       }
     }
 
-    handleToggleChange(isAnnual) {
+    async loadConfig() {
       try {
-        this.isAnnual = isAnnual;
-        this.switchPricing(isAnnual);
-        this.updateAccessibilityAttributes(isAnnual);
-        this.announceChange(isAnnual);
+        const response = await fetch(this.configUrl);
+        if (!response.ok) {
+          throw new Error(`Pricing config request failed with status ${response.status}`);
+        }
+
+        this.config = await response.json();
+        this.currency = this.resolveCurrency();
+        this.setupCurrencySelects();
+        this.renderPrices();
+        this.renderDiscountBadges();
+        this.setupCalculator();
+        return this.config;
       } catch (error) {
-        console.error('Failed to handle toggle change:', error);
+        // Prices already in the markup stay in place as a fallback
+        console.error('Failed to load pricing config:', error);
+        return null;
       }
     }
 
-    handleKeydown(event) {
-      try {
-        if (event.key === 'Enter' || event.key === ' ') {
-          event.preventDefault();
-          this.billingToggle.checked = !this.billingToggle.checked;
-          this.handleToggleChange(this.billingToggle.checked);
-        }
-      } catch (error) {
-        console.error('Failed to handle keydown:', error);
-      }
+    getPlans() {
+      return this.config ? this.config.plans : [];
     }
 
-    switchPricing(isAnnual) {
-      try {
-        // Add loading state
-        this.billingToggle.disabled = true;
-        
-        // Animate pricing cards
-        this.animatePricingCards();
-        
-        // Switch prices with delay for smooth effect
-        setTimeout(() => {
-          this.togglePriceVisibility(isAnnual);
-          this.resetCardAnimation();
-          this.billingToggle.disabled = false;
-        }, 100);
-      } catch (error) {
-        console.error('Failed to switch pricing:', error);
-        this.billingToggle.disabled = false;
-      }
+    getBaseCurrency() {
+      return (this.config && this.config.currency) || 'USD';
     }
 
-    animatePricingCards() {
+    getCurrencies() {
+      return (this.config && this.config.currencies) || { [this.getBaseCurrency()]: { rate: 1 } };
+    }
+
+    isValidCurrency(code) {
+      return typeof code === 'string' && Object.prototype.hasOwnProperty.call(this.getCurrencies(), code);
+    }
+
+    /**
+     * Currency to show: the URL wins over the saved choice so shared links
+     * open as sent, then the config's base currency.
+     */
+    resolveCurrency() {
+      const fromUrl = this.readUrlState().currency;
+      if (this.isValidCurrency(fromUrl)) {
+        return fromUrl;
+      }
+
       try {
-        this.pricingCards.forEach(card => {
-          card.style.transform = 'scale(0.95)';
-          card.style.transition = `transform ${this.animationDuration / 3}ms ease`;
-          card.style.opacity = '0.7';
-        });
+        const saved = localStorage.getItem(this.currencyStorageKey);
+        if (this.isValidCurrency(saved)) return saved;
       } catch (error) {
-        console.error('Failed to animate pricing cards:', error);
+        console.warn('Failed to read saved currency:', error);
       }
+
+      return this.getBaseCurrency();
     }
 
-    togglePriceVisibility(isAnnual) {
+    setupCurrencySelects() {
       try {
-        this.monthlyPrices.forEach(price => {
-          const shouldHide = isAnnual;
-          price.classList.toggle('hidden', shouldHide);
-          price.setAttribute('aria-hidden', shouldHide.toString());
+        this.renderCurrencyOptions();
+
+        this.currencySelects.forEach(select => {
+          select.addEventListener('change', () => this.setCurrency(select.value));
         });
 
-        this.annualPrices.forEach(price => {
-          const shouldHide = !isAnnual;
-          price.classList.toggle('hidden', shouldHide);
-          price.setAttribute('aria-hidden', shouldHide.toString());
+        // Hidden in the markup until the config has loaded
+        this.currencyPickers.forEach(picker => {
+          picker.hidden = false;
         });
       } catch (error) {
-        console.error('Failed to toggle price visibility:', error);
+        console.error('Failed to setup currency selects:', error);
       }
     }
 
-    resetCardAnimation() {
-      try {
+    renderCurrencyOptions() {
+      const currencies = this.getCurrencies();
+
+      this.currencySelects.forEach(select => {
+        select.innerHTML = '';
+        Object.keys(currencies).forEach(code => {
+          const option = document.createElement('option');
+          option.value = code;
+          option.textContent = `${code} (${localeFormatter.getCurrencyParts(0, code).symbol})`;
+          select.appendChild(option);
+        });
+
+        select.value = this.currency;
+      });
+    }
+
+    /**
+     * Re-renders everything written for the locale: amounts, symbol
+     * placement, percentages and the calculator copy all follow the page
+     * language.
+     */
+    renderLocale() {
+      try {
+        if (!this.config) return;
+
+        this.renderCurrencyOptions();
+        this.renderPrices();
+        this.renderDiscountBadges();
+
+        if (this.calculatorReady) {
+          this.renderSeatTiers();
+          this.renderCalculator();
+        }
+      } catch (error) {
+        console.error('Failed to render prices for the new language:', error);
+      }
+    }
+
+    setCurrency(code) {
+      try {
+        if (!this.isValidCurrency(code) || code === this.currency) return;
+
+        this.currency = code;
+        this.currencySelects.forEach(select => {
+          select.value = code;
+        });
+
+        try {
+          localStorage.setItem(this.currencyStorageKey, code);
+        } catch (error) {
+          console.warn('Failed to save currency:', error);
+        }
+
+        this.updateUrl();
+        this.renderPrices();
+        this.renderCalculator();
+
+        this.announceChange(i18n.t('prices.shownIn', 'Prices shown in {currency}', {
+          currency: this.getCurrencyName(code)
+        }));
+      } catch (error) {
+        console.error('Failed to set currency:', error);
+      }
+    }
+
+    getCurrency() {
+      return this.currency || this.getBaseCurrency();
+    }
+
+    // The config's names are English; Intl names the currency in the page language
+    getCurrencyName(code) {
+      try {
+        return new Intl.DisplayNames([localeFormatter.getLocale()], { type: 'currency' }).of(code);
+      } catch (error) {
+        return this.getCurrencies()[code].name || code;
+      }
+    }
+
+    /**
+     * Pricing state shared through the query string, e.g.
+     * ?billing=annual&plan=professional&seats=25&currency=EUR.
+     * Unknown or malformed values come back as null, as does everything on
+     * pages that don't opt in with data-pricing-url-state.
+     */
+    readUrlState() {
+      if (!this.syncsUrl) {
+        return { billing: null, plan: null, seats: null, currency: null };
+      }
+
+      const params = new URLSearchParams(window.location.search);
+      const billing = (params.get(this.urlParams.billing) || '').toLowerCase();
+      const plan = params.get(this.urlParams.plan);
+      const seats = parseInt(params.get(this.urlParams.seats), 10);
+      const currency = (params.get(this.urlParams.currency) || '').toUpperCase();
+
+      return {
+        billing: billing === 'annual' || billing === 'monthly' ? billing : null,
+        plan: this.hasPlanCard(plan) ? plan : null,
+        seats: Number.isNaN(seats) ? null : seats,
+        currency: currency || null
+      };
+    }
+
+    /**
+     * Applies the query string on load and on back/forward. Seats and
+     * currency wait for the config; loadConfig picks them up from the URL.
+     */
+    applyUrlState() {
+      this.restoringUrl = true;
+
+      try {
+        const state = this.readUrlState();
+        this.applyBilling(state.billing === 'annual');
+        this.selectPlan(state.plan);
+
+        if (this.config) {
+          this.setCurrency(this.resolveCurrency());
+        }
+
+        if (this.calculatorReady) {
+          this.setSeats(state.seats === null ? this.getDefaultSeats() : state.seats, false);
+        }
+      } catch (error) {
+        console.error('Failed to apply pricing URL state:', error);
+      } finally {
+        this.restoringUrl = false;
+      }
+    }
+
+    updateUrl() {
+      if (!this.syncsUrl || this.restoringUrl) return;
+
+      try {
+        const url = new URL(window.location.href);
+        const setParam = (name, value, defaultValue) => {
+          if (value === null || value === defaultValue) {
+            url.searchParams.delete(name);
+          } else {
+            url.searchParams.set(name, value);
+          }
+        };
+
+        setParam(this.urlParams.billing, this.getCurrentBillingType(), 'monthly');
+        setParam(this.urlParams.plan, this.selectedPlan, null);
+
+        // Until the config loads, leave seats and currency as the URL has them
+        if (this.config) {
+          setParam(this.urlParams.currency, this.getCurrency(), this.getBaseCurrency());
+        }
+        if (this.calculatorReady) {
+          setParam(this.urlParams.seats, String(this.seats), String(this.getDefaultSeats()));
+        }
+
+        if (url.href !== window.location.href) {
+          history.replaceState(history.state, '', url);
+        }
+      } catch (error) {
+        console.error('Failed to update pricing URL:', error);
+      }
+    }
+
+    applyBilling(isAnnual) {
+      if (isAnnual === this.isAnnual) return;
+
+      this.isAnnual = isAnnual;
+      const input = this.getToggleInput();
+      if (input) input.checked = isAnnual;
+      this.togglePriceVisibility(isAnnual);
+      this.updateAccessibilityAttributes(isAnnual);
+      this.renderCalculator();
+    }
+
+    // The toggle selector can match the .billing-toggle wrapper rather than its checkbox
+    getToggleInput() {
+      if (!this.billingToggle) return null;
+      return this.billingToggle.matches('input')
+        ? this.billingToggle
+        : this.billingToggle.querySelector('input[type="checkbox"]');
+    }
+
+    /**
+     * Switches billing as if the visitor had used the toggle. Returns false
+     * when the page has no prices to switch.
+     */
+    setBilling(isAnnual) {
+      try {
+        const input = this.getToggleInput();
+        if (!input || this.monthlyPrices.length === 0) return false;
+
+        if (isAnnual !== this.isAnnual) {
+          input.checked = isAnnual;
+          this.handleToggleChange(isAnnual);
+        }
+        return true;
+      } catch (error) {
+        console.error('Failed to set billing:', error);
+        return false;
+      }
+    }
+
+    hasPlanCard(planId) {
+      return Boolean(planId) && Array.from(this.pricingCards).some(card => card.dataset.plan === planId);
+    }
+
+    /**
+     * Highlights the card for a plan; null clears the selection.
+     */
+    selectPlan(planId) {
+      try {
+        this.selectedPlan = this.hasPlanCard(planId) ? planId : null;
+
         this.pricingCards.forEach(card => {
-          card.style.transform = 'scale(1)';
-          card.style.opacity = '1';
+          const isSelected = this.selectedPlan !== null && card.dataset.plan === this.selectedPlan;
+          card.classList.toggle('is-selected', isSelected);
+          if (isSelected) {
+            card.setAttribute('aria-current', 'true');
+          } else {
+            card.removeAttribute('aria-current');
+          }
+        });
+
+        this.updateUrl();
+      } catch (error) {
+        console.error('Failed to select plan:', error);
+      }
+    }
+
+    getSelectedPlan() {
+      return this.selectedPlan;
+    }
+
+    getPlan(planId) {
+      return this.getPlans().find(plan => plan.id === planId) || null;
+    }
+
+    getDiscount(billing) {
+      const option = this.config && this.config.billing[billing];
+      return option ? option.discount || 0 : 0;
+    }
+
+    /**
+     * Monthly price per seat for a plan under the given billing period,
+     * converted with the config's exchange rate for the currency.
+     * Returns null when the plan is not defined in the config.
+     */
+    getPrice(planId, billing = this.getCurrentBillingType(), currency = this.getCurrency()) {
+      const plan = this.getPlan(planId);
+      if (!plan) return null;
+
+      const rate = this.isValidCurrency(currency) ? this.getCurrencies()[currency].rate : 1;
+      const price = plan.pricePerSeat * rate * (1 - this.getDiscount(billing));
+      return Math.round(price * 100) / 100;
+    }
+
+    /**
+     * Largest percentage saved by paying annually across the paid plans.
+     */
+    getAnnualSavings() {
+      const savings = this.getPlans()
+        .filter(plan => plan.pricePerSeat > 0)
+        .map(plan => {
+          // Base currency, so conversion rounding never moves the badge
+          const monthly = this.getPrice(plan.id, 'monthly', this.getBaseCurrency());
+          const annual = this.getPrice(plan.id, 'annual', this.getBaseCurrency());
+          return Math.round((1 - annual / monthly) * 100);
+        });
+
+      return {
+        max: savings.length ? Math.max(...savings) : 0,
+        uniform: savings.every(value => value === savings[0])
+      };
+    }
+
+    getPriceParts(value) {
+      return localeFormatter.getCurrencyParts(value, this.getCurrency());
+    }
+
+    renderPrices() {
+      try {
+        this.planElements.forEach(element => {
+          const planId = element.dataset.plan;
+          if (!this.getPlan(planId)) {
+            console.warn(`Pricing config has no plan "${planId}"`);
+            return;
+          }
+
+          element.querySelectorAll('.monthly-price').forEach(price => {
+            price.textContent = this.getPriceParts(this.getPrice(planId, 'monthly')).amount;
+          });
+          element.querySelectorAll('.annual-price').forEach(price => {
+            price.textContent = this.getPriceParts(this.getPrice(planId, 'annual')).amount;
+          });
+
+          const { symbol, symbolFirst } = this.getPriceParts(this.getPrice(planId, 'monthly'));
+          element.querySelectorAll('.currency').forEach(currency => {
+            currency.textContent = symbol;
+            this.placeCurrencySymbol(currency, symbolFirst);
+          });
+        });
+      } catch (error) {
+        console.error('Failed to render prices:', error);
+      }
+    }
+
+    /**
+     * Moves the symbol before or after the amounts it belongs to, following
+     * the locale's currency pattern.
+     */
+    placeCurrencySymbol(symbol, symbolFirst) {
+      const amounts = symbol.parentElement.querySelectorAll('.monthly-price, .annual-price');
+      if (amounts.length === 0) return;
+
+      if (symbolFirst) {
+        amounts[0].before(symbol);
+      } else {
+        amounts[amounts.length - 1].after(symbol);
+      }
+      symbol.classList.toggle('currency-after', !symbolFirst);
+    }
+
+    renderDiscountBadges() {
+      try {
+        const savings = this.getAnnualSavings();
+
+        this.discountBadges.forEach(badge => {
+          badge.classList.toggle('hidden', savings.max <= 0);
+          const percent = this.formatPercent(savings.max / 100);
+          badge.textContent = savings.uniform
+            ? i18n.t('prices.save', 'Save {percent}', { percent })
+            : i18n.t('prices.saveUpTo', 'Save up to {percent}', { percent });
+        });
+      } catch (error) {
+        console.error('Failed to render discount badges:', error);
+      }
+    }
+
+    setupCalculator() {
+      try {
+        if (!this.calculator || !this.seatRange || !this.seatInput) return;
+
+        const { min, max } = this.getSeatLimits();
+        [this.seatRange, this.seatInput].forEach(input => {
+          input.min = min;
+          input.max = max;
+        });
+
+        // Hidden in the markup until the config has loaded
+        this.calculator.hidden = false;
+        this.renderSeatTiers();
+        this.calculatorReady = true;
+
+        const { seats } = this.readUrlState();
+        this.setSeats(seats === null ? this.getDefaultSeats() : seats, false);
+
+        this.seatRange.addEventListener('input', () => {
+          this.setSeats(this.seatRange.value);
+        });
+
+        // Leave the number field alone while it is being cleared or retyped
+        this.seatInput.addEventListener('input', () => {
+          if (this.seatInput.value !== '' && this.seatInput.checkValidity()) {
+            this.setSeats(this.seatInput.value);
+          }
+        });
+
+        this.seatInput.addEventListener('change', () => {
+          this.setSeats(this.seatInput.value);
+        });
+      } catch (error) {
+        console.error('Failed to setup seat calculator:', error);
+      }
+    }
+
+    getSeatLimits() {
+      const seats = (this.config && this.config.seats) || {};
+      return { min: seats.min || 1, max: seats.max || 500 };
+    }
+
+    getDefaultSeats() {
+      const seats = (this.config && this.config.seats) || {};
+      return seats.default || 10;
+    }
+
+    setSeats(value, announce = true) {
+      try {
+        const { min, max } = this.getSeatLimits();
+        const parsed = parseInt(value, 10);
+        this.seats = Math.min(max, Math.max(min, Number.isNaN(parsed) ? min : parsed));
+
+        this.seatRange.value = this.seats;
+        if (this.seatInput.value !== String(this.seats)) {
+          this.seatInput.value = this.seats;
+        }
+
+        this.renderCalculator();
+        this.updateUrl();
+
+        if (announce) {
+          clearTimeout(this.announceTimeout);
+          this.announceTimeout = setTimeout(() => {
+            this.announceChange(this.getCalculatorSummary());
+          }, this.announceDelay);
+        }
+      } catch (error) {
+        console.error('Failed to set seats:', error);
+      }
+    }
+
+    getSeats() {
+      return this.seats;
+    }
+
+    /**
+     * Volume tier for a seat count: the tier with the highest minSeats not above it.
+     */
+    getVolumeTier(seats) {
+      const tiers = (this.config && this.config.volumeTiers) || [];
+      return tiers.reduce((match, tier) => (seats >= tier.minSeats ? tier : match), { minSeats: 1, discount: 0 });
+    }
+
+    getNextVolumeTier(seats) {
+      const tiers = (this.config && this.config.volumeTiers) || [];
+      return tiers.find(tier => tier.minSeats > seats) || null;
+    }
+
+    /**
+     * Totals for a plan at a seat count. Monthly billing is charged per month,
+     * annual billing once per year; both are also given in the other unit so
+     * they can be compared.
+     */
+    getPlanTotals(planId, seats = this.seats) {
+      const plan = this.getPlan(planId);
+      if (!plan) return null;
+
+      if (plan.maxSeats && seats > plan.maxSeats) {
+        return { plan, available: false };
+      }
+
+      const round = value => Math.round(value * 100) / 100;
+      const units = plan.perSeat ? seats : 1;
+      const volumeDiscount = plan.pricePerSeat > 0 ? this.getVolumeTier(seats).discount : 0;
+      const monthly = round(this.getPrice(planId, 'monthly') * units * (1 - volumeDiscount));
+      const annual = round(this.getPrice(planId, 'annual') * units * (1 - volumeDiscount) * 12);
+
+      return {
+        plan,
+        available: true,
+        volumeDiscount,
+        monthly,
+        monthlyPerYear: round(monthly * 12),
+        annual,
+        annualPerMonth: round(annual / 12),
+        savings: round(monthly * 12 - annual)
+      };
+    }
+
+    formatTotal(value) {
+      return localeFormatter.formatCurrency(value, this.getCurrency());
+    }
+
+    formatPercent(value) {
+      return localeFormatter.formatNumber(value, { style: 'percent' });
+    }
+
+    renderSeatTiers() {
+      try {
+        if (!this.seatTiers) return;
+
+        const tiers = (this.config && this.config.volumeTiers) || [];
+        const { max } = this.getSeatLimits();
+        this.seatTiers.innerHTML = '';
+
+        tiers.forEach((tier, index) => {
+          const next = tiers[index + 1];
+          const item = document.createElement('li');
+          item.className = 'seat-tier';
+          item.dataset.minSeats = tier.minSeats;
+
+          const range = document.createElement('span');
+          range.className = 'seat-tier-range';
+          range.textContent = i18n.t('prices.tierRange', '{min}–{max} seats', {
+            min: localeFormatter.formatNumber(tier.minSeats),
+            max: localeFormatter.formatNumber(next ? next.minSeats - 1 : max)
+          });
+
+          const discount = document.createElement('span');
+          discount.className = 'seat-tier-discount';
+          discount.textContent = tier.discount > 0
+            ? i18n.t('prices.tierDiscount', '{percent} off', { percent: this.formatPercent(tier.discount) })
+            : i18n.t('prices.listPrice', 'List price');
+
+          item.append(range, discount);
+          this.seatTiers.appendChild(item);
+        });
+      } catch (error) {
+        console.error('Failed to render seat tiers:', error);
+      }
+    }
+
+    renderCalculator() {
+      try {
+        if (!this.calculatorResults || !this.config) return;
+
+        const tier = this.getVolumeTier(this.seats);
+        const nextTier = this.getNextVolumeTier(this.seats);
+        const billing = this.getCurrentBillingType();
+
+        if (this.seatTierHint) {
+          const current = tier.discount > 0
+            ? i18n.t('prices.discountApplied', '{percent} volume discount applied.', {
+              percent: this.formatPercent(tier.discount)
+            })
+            : i18n.t('prices.listPriceApplied', 'List price.');
+          let upcoming = '';
+          if (nextTier) {
+            const params = {
+              count: nextTier.minSeats - this.seats,
+              percent: this.formatPercent(nextTier.discount)
+            };
+            upcoming = params.count === 1
+              ? i18n.t('prices.nextTierOne', 'Add {count} more seat for {percent} off.', params)
+              : i18n.t('prices.nextTier', 'Add {count} more seats for {percent} off.', params);
+          }
+          this.seatTierHint.textContent = upcoming ? `${current} ${upcoming}` : current;
+        }
+
+        if (this.seatTiers) {
+          this.seatTiers.querySelectorAll('.seat-tier').forEach(item => {
+            item.classList.toggle('is-active', Number(item.dataset.minSeats) === tier.minSeats);
+          });
+        }
+
+        this.calculatorResults.innerHTML = '';
+        this.getPlans().forEach(plan => {
+          this.calculatorResults.appendChild(this.createPlanTotal(this.getPlanTotals(plan.id), billing));
+        });
+      } catch (error) {
+        console.error('Failed to render seat calculator:', error);
+      }
+    }
+
+    createPlanTotal(totals, billing) {
+      const card = document.createElement('div');
+      card.className = 'seat-plan-total';
+      card.classList.toggle('is-unavailable', !totals.available);
+
+      const name = document.createElement('h4');
+      name.className = 'seat-plan-name';
+      name.textContent = totals.plan.name;
+      card.appendChild(name);
+
+      if (!totals.available) {
+        const note = document.createElement('p');
+        note.className = 'seat-plan-note';
+        note.textContent = i18n.t('prices.availableUpTo', 'Available for up to {count} seats', {
+          count: localeFormatter.formatNumber(totals.plan.maxSeats)
         });
+        card.appendChild(note);
+        return card;
+      }
+
+      const addLine = (label, value, detail, isActive) => {
+        const line = document.createElement('div');
+        line.className = 'seat-plan-line';
+        line.classList.toggle('is-active', isActive);
+
+        const labelElement = document.createElement('span');
+        labelElement.className = 'seat-plan-label';
+        labelElement.textContent = label;
+
+        const valueElement = document.createElement('strong');
+        valueElement.className = 'seat-plan-value';
+        valueElement.textContent = value;
+
+        const detailElement = document.createElement('span');
+        detailElement.className = 'seat-plan-detail';
+        detailElement.textContent = detail;
+
+        line.append(labelElement, valueElement, detailElement);
+        card.appendChild(line);
+      };
+
+      addLine(
+        i18n.t('prices.billedMonthly', 'Billed monthly'),
+        i18n.t('prices.perMonthShort', '{amount} / month', { amount: this.formatTotal(totals.monthly) }),
+        i18n.t('prices.perYear', '{amount} per year', { amount: this.formatTotal(totals.monthlyPerYear) }),
+        billing === 'monthly'
+      );
+      addLine(
+        i18n.t('prices.billedAnnually', 'Billed annually'),
+        i18n.t('prices.perYearShort', '{amount} / year', { amount: this.formatTotal(totals.annual) }),
+        i18n.t('prices.perMonth', '{amount} per month', { amount: this.formatTotal(totals.annualPerMonth) }),
+        billing === 'annual'
+      );
+
+      const footer = document.createElement('p');
+      footer.className = 'seat-plan-note';
+      const notes = [];
+      if (totals.savings > 0) {
+        notes.push(i18n.t('prices.annualSavings', 'Save {amount} per year with annual billing', {
+          amount: this.formatTotal(totals.savings)
+        }));
+      }
+      if (totals.volumeDiscount > 0) {
+        notes.push(i18n.t('prices.includesDiscount', 'includes {percent} volume discount', {
+          percent: this.formatPercent(totals.volumeDiscount)
+        }));
+      }
+      footer.textContent = notes.length ? notes.join(', ') : i18n.t('prices.freeForever', 'Free forever');
+      card.appendChild(footer);
+
+      return card;
+    }
+
+    getCalculatorSummary() {
+      const billing = this.getCurrentBillingType();
+      const totals = this.getPlans()
+        .map(plan => this.getPlanTotals(plan.id))
+        .filter(total => total.available && total.plan.pricePerSeat > 0)
+        .map(total => `${total.plan.name} ${billing === 'annual'
+          ? i18n.t('prices.perYear', '{amount} per year', { amount: this.formatTotal(total.annual) })
+          : i18n.t('prices.perMonth', '{amount} per month', { amount: this.formatTotal(total.monthly) })}`);
+
+      const params = { count: this.seats, totals: totals.join(', ') };
+      return this.seats === 1
+        ? i18n.t('prices.summaryOne', '{count} seat: {totals}', params)
+        : i18n.t('prices.summary', '{count} seats: {totals}', params);
+    }
+
+    handleToggleChange(isAnnual) {
+      try {
+        this.isAnnual = isAnnual;
+        this.switchPricing(isAnnual);
+        this.updateAccessibilityAttributes(isAnnual);
+        this.renderCalculator();
+        this.updateUrl();
+
+        const message = isAnnual
+          ? i18n.t('prices.switchedToAnnual', 'Switched to annual billing')
+          : i18n.t('prices.switchedToMonthly', 'Switched to monthly billing');
+        this.announceChange(this.calculatorResults && this.config
+          ? `${message}. ${this.getCalculatorSummary()}`
+          : message);
+      } catch (error) {
+        console.error('Failed to handle toggle change:', error);
+      }
+    }
+
+    handleKeydown(event) {
+      try {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.billingToggle.checked = !this.billingToggle.checked;
+          this.handleToggleChange(this.billingToggle.checked);
+        }
+      } catch (error) {
+        console.error('Failed to handle keydown:', error);
+      }
+    }
+
+    switchPricing(isAnnual) {
+      try {
+        // Add loading state
+        this.billingToggle.disabled = true;
+        
+        // Animate pricing cards
+        this.animatePricingCards();
+        
+        // Switch prices with delay for smooth effect
+        setTimeout(() => {
+          this.togglePriceVisibility(isAnnual);
+          this.resetCardAnimation();
+          this.billingToggle.disabled = false;
+        }, 100);
+      } catch (error) {
+        console.error('Failed to switch pricing:', error);
+        this.billingToggle.disabled = false;
+      }
+    }
+
+    animatePricingCards() {
+      try {
+        this.pricingCards.forEach(card => {
+          card.style.transform = 'scale(0.95)';
+          card.style.transition = `transform ${this.animationDuration / 3}ms ease`;
+          card.style.opacity = '0.7';
+        });
+      } catch (error) {
+        console.error('Failed to animate pricing cards:', error);
+      }
+    }
+
+    togglePriceVisibility(isAnnual) {
+      try {
+        this.monthlyPrices.forEach(price => {
+          const shouldHide = isAnnual;
+          price.classList.toggle('hidden', shouldHide);
+          price.setAttribute('aria-hidden', shouldHide.toString());
+        });
+
+        this.annualPrices.forEach(price => {
+          const shouldHide = !isAnnual;
+          price.classList.toggle('hidden', shouldHide);
+          price.setAttribute('aria-hidden', shouldHide.toString());
+        });
+      } catch (error) {
+        console.error('Failed to toggle price visibility:', error);
+      }
+    }
+
+    resetCardAnimation() {
+      try {
+        this.pricingCards.forEach(card => {
+          card.style.transform = 'scale(1)';
+          card.style.opacity = '1';
+        });
+
+        // Clean up transition styles after animation
+        setTimeout(() => {
+          this.pricingCards.forEach(card => {
+            card.style.transition = '';
+          });
+        }, this.animationDuration);
+      } catch (error) {
+        console.error('Failed to reset card animation:', error);
+      }
+    }
+
+    updateAccessibilityAttributes(isAnnual) {
+      try {
+        const toggle = this.getToggleInput() || this.billingToggle;
+        toggle.setAttribute('aria-checked', isAnnual.toString());
+        toggle.setAttribute('aria-label', isAnnual
+          ? i18n.t('prices.switchToMonthly', 'Switch to monthly billing')
+          : i18n.t('prices.switchToAnnual', 'Switch to annual billing'));
+      } catch (error) {
+        console.error('Failed to update accessibility attributes:', error);
+      }
+    }
+
+    announceChange(message) {
+      try {
+        const announcement = document.createElement('div');
+        announcement.setAttribute('aria-live', 'polite');
+        announcement.setAttribute('aria-atomic', 'true');
+        announcement.className = 'sr-only';
+        announcement.textContent = message;
+        
+        document.body.appendChild(announcement);
+        
+        setTimeout(() => {
+          document.body.removeChild(announcement);
+        }, 1000);
+      } catch (error) {
+        console.error('Failed to announce change:', error);
+      }
+    }
+
+    getCurrentBillingType() {
+      return this.isAnnual ? 'annual' : 'monthly';
+    }
+
+    destroy() {
+      try {
+        if (this.billingToggle) {
+          this.billingToggle.removeEventListener('change', this.handleToggleChange);
+          this.billingToggle.removeEventListener('keydown', this.handleKeydown);
+        }
+      } catch (error) {
+        console.error('Failed to destroy PricingManager:', error);
+      }
+    }
+  }
+
+  // ===== Comparison Table Manager =====
+  /**
+   * Adds search, a differences-only filter, collapsible sections, a sticky
+   * plan header and a narrow-screen card view to the static .pricing-table.
+   * The table markup stays the source of truth; getFeatures() exposes it as
+   * data for other components.
+   */
+  class ComparisonTableManager {
+    constructor() {
+      this.table = document.querySelector('.pricing-table');
+      this.wrapper = null;
+      this.navbar = document.querySelector('.navbar');
+      this.searchInput = null;
+      this.diffToggle = null;
+      this.statusElement = null;
+      this.cardView = null;
+      this.plans = [];
+      this.sections = [];
+      this.query = '';
+      this.differencesOnly = false;
+      this.stickyFrame = null;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.table) return;
+
+        this.wrapper = this.table.closest('.pricing-table-wrapper');
+        this.parseTable();
+        if (this.plans.length === 0 || this.sections.length === 0) return;
+
+        this.buildToolbar();
+        this.buildSectionToggles();
+        this.buildCardView();
+        this.bindEvents();
+        this.updateStickyOffset();
+
+        if (this.wrapper) {
+          this.wrapper.classList.add('is-interactive');
+        }
+      } catch (error) {
+        console.error('Failed to initialize ComparisonTableManager:', error);
+      }
+    }
+
+    /**
+     * Reads plans from the header cells and features from the body rows,
+     * grouped under the preceding .section-divider row.
+     */
+    parseTable() {
+      this.plans = Array.from(this.table.querySelectorAll('thead th[data-plan]')).map(header => {
+        const name = header.querySelector('.plan-name');
+        return {
+          id: header.dataset.plan,
+          name: name ? name.textContent.trim() : header.dataset.plan,
+          header
+        };
+      });
+
+      let section = null;
+      Array.from(this.table.tBodies).forEach(tbody => {
+        Array.from(tbody.rows).forEach(row => {
+          if (row.classList.contains('section-divider')) {
+            const title = row.querySelector('.section-title');
+            const icon = title ? title.querySelector('i') : null;
+            const label = title ? title.querySelector('[data-i18n]') : null;
+            const text = title ? title.textContent.trim() : '';
+
+            section = {
+              id: this.slugify(text),
+              title: text,
+              key: label ? label.dataset.i18n : '',
+              icon: icon ? icon.className : '',
+              row,
+              collapsed: false,
+              toggles: [],
+              cardGroups: [],
+              features: []
+            };
+            this.sections.push(section);
+            return;
+          }
+
+          if (!section) return;
+
+          const cells = Array.from(row.cells);
+          const nameCell = row.querySelector('.feature-name');
+          if (!nameCell) return;
+
+          const valueCells = cells.filter(cell => cell.classList.contains('feature-value'));
+          const values = {};
+          this.plans.forEach((plan, index) => {
+            values[plan.id] = this.parseValue(valueCells[index]);
+          });
+
+          const name = nameCell.textContent.trim();
+          const distinct = new Set(Object.values(values).map(value => `${value.included}|${value.text}`));
+
+          section.features.push({
+            id: this.slugify(name),
+            name,
+            key: nameCell.dataset.i18n || '',
+            section: section.id,
+            values,
+            differs: distinct.size > 1,
+            row,
+            nameCell,
+            cardItems: []
+          });
+        });
+      });
+    }
+
+    /**
+     * Check and cross icons become { included: true|false }, anything else
+     * is kept as text and counts as included. The text stays English so the
+     * plan wizard can parse limits out of it; key translates it for display.
+     */
+    parseValue(cell) {
+      if (!cell) return { included: false, text: '', key: '', highlight: false };
+
+      const highlight = cell.classList.contains('highlight');
+      if (cell.querySelector('.bi-check-circle-fill')) {
+        this.describeIconCell(cell, 'compareTable.included', 'Included');
+        return { included: true, text: '', key: '', highlight };
+      }
+      if (cell.querySelector('.bi-x-circle')) {
+        this.describeIconCell(cell, 'compareTable.notIncluded', 'Not included');
+        return { included: false, text: '', key: '', highlight };
+      }
+
+      return { included: true, text: cell.textContent.trim(), key: cell.dataset.i18n || '', highlight };
+    }
+
+    getFeatureName(feature) {
+      return feature.key ? i18n.t(feature.key, feature.name) : feature.name;
+    }
+
+    getSectionTitle(section) {
+      return section.key ? i18n.t(section.key, section.title) : section.title;
+    }
+
+    getValueText(value) {
+      return value.key ? i18n.t(value.key, value.text) : value.text;
+    }
+
+    describeIconCell(cell, key, label) {
+      if (cell.querySelector('.sr-only')) return;
+
+      const icon = cell.querySelector('i');
+      if (icon) icon.setAttribute('aria-hidden', 'true');
+
+      const text = document.createElement('span');
+      text.className = 'sr-only';
+      text.dataset.i18n = key;
+      text.textContent = label;
+      cell.appendChild(text);
+    }
+
+    slugify(text) {
+      return text
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    }
+
+    buildToolbar() {
+      const toolbar = document.createElement('div');
+      toolbar.className = 'comparison-toolbar';
+
+      const search = document.createElement('div');
+      search.className = 'comparison-search';
+
+      const searchIcon = document.createElement('i');
+      searchIcon.className = 'bi bi-search';
+      searchIcon.setAttribute('aria-hidden', 'true');
+
+      const searchLabel = document.createElement('label');
+      searchLabel.className = 'sr-only';
+      searchLabel.htmlFor = 'comparisonSearch';
+      searchLabel.dataset.i18n = 'compareTable.search';
+      searchLabel.textContent = 'Search features';
+
+      this.searchInput = document.createElement('input');
+      this.searchInput.type = 'search';
+      this.searchInput.id = 'comparisonSearch';
+      this.searchInput.className = 'comparison-search-input';
+      this.searchInput.placeholder = 'Search features';
+      this.searchInput.dataset.i18nAttr = 'placeholder=compareTable.search';
+      this.searchInput.autocomplete = 'off';
+
+      search.append(searchIcon, searchLabel, this.searchInput);
+
+      const diffLabel = document.createElement('label');
+      diffLabel.className = 'comparison-diff-toggle';
+      this.diffToggle = document.createElement('input');
+      this.diffToggle.type = 'checkbox';
+      this.diffToggle.id = 'comparisonDiffToggle';
+      const diffText = document.createElement('span');
+      diffText.dataset.i18n = 'compareTable.differencesOnly';
+      diffText.textContent = 'Show differences only';
+      diffLabel.append(this.diffToggle, ' ', diffText);
+
+      this.statusElement = document.createElement('p');
+      this.statusElement.className = 'comparison-status';
+      this.statusElement.setAttribute('role', 'status');
+      this.statusElement.setAttribute('aria-live', 'polite');
+
+      toolbar.append(search, diffLabel, this.statusElement);
+
+      const container = this.wrapper || this.table.parentElement;
+      container.insertBefore(toolbar, container.firstChild);
+    }
+
+    /**
+     * Replaces each divider title with a button that shows and hides the
+     * rows of its section.
+     */
+    buildSectionToggles() {
+      this.sections.forEach(section => {
+        const title = section.row.querySelector('.section-title');
+        if (!title) return;
+
+        section.features.forEach(feature => {
+          feature.row.id = feature.row.id || `comparison-${section.id}-${feature.id}`;
+        });
+
+        const button = this.createSectionToggle(section);
+        button.setAttribute('aria-controls', section.features.map(feature => feature.row.id).join(' '));
+
+        title.textContent = '';
+        title.appendChild(button);
+      });
+    }
+
+    createSectionToggle(section) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'section-toggle';
+      button.setAttribute('aria-expanded', 'true');
+
+      if (section.icon) {
+        const icon = document.createElement('i');
+        icon.className = section.icon;
+        icon.setAttribute('aria-hidden', 'true');
+        button.appendChild(icon);
+      }
+
+      // The divider title is replaced by this button, so it carries the key
+      const label = document.createElement('span');
+      if (section.key) label.dataset.i18n = section.key;
+      label.textContent = this.getSectionTitle(section);
+
+      const chevron = document.createElement('i');
+      chevron.className = 'bi bi-chevron-down section-toggle-icon';
+      chevron.setAttribute('aria-hidden', 'true');
+
+      button.append(label, chevron);
+      button.addEventListener('click', () => this.toggleSection(section.id));
+      section.toggles.push(button);
+
+      return button;
+    }
+
+    /**
+     * One card per plan listing every feature, shown instead of the table
+     * on narrow screens (see .comparison-cards in main.css).
+     */
+    buildCardView() {
+      this.cardView = document.createElement('div');
+      this.cardView.className = 'comparison-cards';
+
+      this.plans.forEach(plan => {
+        const card = document.createElement('article');
+        card.className = 'comparison-card';
+        card.setAttribute('aria-label', this.getCardLabel(plan));
+        plan.card = card;
+
+        const header = document.createElement('div');
+        header.className = 'comparison-card-header';
+        // data-plan lets PricingManager render and switch the cloned price
+        header.dataset.plan = plan.id;
+        const info = plan.header.querySelector('.plan-info');
+        if (info) header.appendChild(info.cloneNode(true));
+        card.appendChild(header);
+
+        this.sections.forEach(section => {
+          const group = document.createElement('div');
+          group.className = 'comparison-card-section';
+
+          const list = document.createElement('ul');
+          list.className = 'comparison-card-features';
+
+          section.features.forEach(feature => {
+            const item = this.createCardItem(feature, feature.values[plan.id]);
+            feature.cardItems.push(item);
+            list.appendChild(item);
+          });
+
+          const toggle = this.createSectionToggle(section);
+          list.id = `comparison-${plan.id}-${section.id}`;
+          toggle.setAttribute('aria-controls', list.id);
+
+          group.append(toggle, list);
+          section.cardGroups.push(group);
+          card.appendChild(group);
+        });
+
+        this.cardView.appendChild(card);
+      });
+
+      const container = this.wrapper || this.table.parentElement;
+      container.appendChild(this.cardView);
+    }
+
+    getCardLabel(plan) {
+      return i18n.t('compareTable.cardLabel', '{plan} plan features', { plan: plan.name });
+    }
+
+    createCardItem(feature, value) {
+      const item = document.createElement('li');
+      item.className = 'comparison-card-feature';
+      item.classList.toggle('is-excluded', !value.included);
+
+      const icon = document.createElement('i');
+      icon.className = value.included
+        ? 'bi bi-check-circle-fill text-success'
+        : 'bi bi-x-circle text-muted';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const name = document.createElement('span');
+      name.className = 'comparison-card-name';
+      if (feature.key) name.dataset.i18n = feature.key;
+      name.textContent = this.getFeatureName(feature);
+
+      item.append(icon, name);
+
+      if (value.text) {
+        const detail = document.createElement('span');
+        detail.className = 'comparison-card-value';
+        detail.classList.toggle('highlight', value.highlight);
+        if (value.key) detail.dataset.i18n = value.key;
+        detail.textContent = this.getValueText(value);
+        item.appendChild(detail);
+      } else if (!value.included) {
+        const hidden = document.createElement('span');
+        hidden.className = 'sr-only';
+        hidden.dataset.i18n = 'compareTable.notIncludedNote';
+        hidden.textContent = '(not included)';
+        item.appendChild(hidden);
+      }
+
+      return item;
+    }
+
+    bindEvents() {
+      this.searchInput.addEventListener('input', () => {
+        this.setQuery(this.searchInput.value);
+      });
+
+      this.diffToggle.addEventListener('change', () => {
+        this.setDifferencesOnly(this.diffToggle.checked);
+      });
+
+      window.addEventListener('resize', () => this.updateStickyOffset());
+
+      // Labels in the markup follow data-i18n; these are written here
+      document.addEventListener('localechange', () => {
+        this.plans.forEach(plan => {
+          if (plan.card) plan.card.setAttribute('aria-label', this.getCardLabel(plan));
+        });
+        this.applyFilters();
+      });
+
+      // The navbar shrinks once the page scrolls, so re-measure it per frame
+      window.addEventListener('scroll', () => {
+        if (this.stickyFrame) return;
+        this.stickyFrame = requestAnimationFrame(() => {
+          this.stickyFrame = null;
+          this.updateStickyOffset();
+        });
+      }, { passive: true });
+    }
+
+    updateStickyOffset() {
+      try {
+        if (!this.wrapper) return;
+        const offset = this.navbar ? this.navbar.offsetHeight : 0;
+        this.wrapper.style.setProperty('--comparison-sticky-top', `${offset}px`);
+      } catch (error) {
+        console.error('Failed to update sticky offset:', error);
+      }
+    }
+
+    setQuery(query) {
+      this.query = query.trim().toLowerCase();
+      this.applyFilters();
+    }
+
+    setDifferencesOnly(enabled) {
+      this.differencesOnly = Boolean(enabled);
+      if (this.diffToggle) this.diffToggle.checked = this.differencesOnly;
+      this.applyFilters();
+    }
+
+    toggleSection(sectionId, collapsed) {
+      try {
+        const section = this.sections.find(item => item.id === sectionId);
+        if (!section) return;
+
+        section.collapsed = typeof collapsed === 'boolean' ? collapsed : !section.collapsed;
+        section.toggles.forEach(toggle => {
+          toggle.setAttribute('aria-expanded', String(!section.collapsed));
+        });
+        this.applyFilters();
+      } catch (error) {
+        console.error('Failed to toggle section:', error);
+      }
+    }
+
+    matchesQuery(feature, section) {
+      if (!this.query) return true;
+
+      const haystack = [
+        this.getFeatureName(feature),
+        this.getSectionTitle(section),
+        ...Object.values(feature.values).map(value => this.getValueText(value))
+      ].join(' ').toLowerCase();
+
+      return haystack.includes(this.query);
+    }
+
+    /**
+     * Shows the rows (and card items) that pass the search and the
+     * differences filter. A search looks inside collapsed sections too.
+     */
+    applyFilters() {
+      try {
+        let total = 0;
+        let shown = 0;
+
+        this.sections.forEach(section => {
+          let visibleInSection = 0;
+
+          section.features.forEach(feature => {
+            total++;
+            const matches = this.matchesQuery(feature, section) && (!this.differencesOnly || feature.differs);
+            const expanded = Boolean(this.query) || !section.collapsed;
+            const isVisible = matches && expanded;
+
+            feature.row.hidden = !isVisible;
+            feature.cardItems.forEach(item => {
+              item.hidden = !isVisible;
+            });
+
+            // Re-stripe the rows that remain visible
+            if (isVisible) {
+              feature.row.classList.toggle('alt-row', visibleInSection % 2 === 1);
+              visibleInSection++;
+            }
+
+            if (matches) shown++;
+            this.highlightMatch(feature);
+          });
+
+          const hasMatches = section.features.some(feature =>
+            this.matchesQuery(feature, section) && (!this.differencesOnly || feature.differs));
+          section.row.hidden = !hasMatches;
+          section.cardGroups.forEach(group => {
+            group.hidden = !hasMatches;
+          });
+        });
+
+        this.updateStatus(shown, total);
+      } catch (error) {
+        console.error('Failed to filter comparison table:', error);
+      }
+    }
+
+    highlightMatch(feature) {
+      const targets = [feature.nameCell, ...feature.cardItems.map(item => item.querySelector('.comparison-card-name'))];
+
+      targets.forEach(target => {
+        if (target) highlightText(target, this.getFeatureName(feature), this.query);
+      });
+    }
+
+    updateStatus(shown, total) {
+      if (!this.statusElement) return;
+
+      if (shown === 0) {
+        this.statusElement.textContent = this.query
+          ? i18n.t('compareTable.noMatches', 'No features match "{query}"', { query: this.searchInput.value.trim() })
+          : i18n.t('compareTable.noDifferences', 'All plans include the same features');
+      } else if (shown < total) {
+        this.statusElement.textContent = i18n.t('compareTable.showing', 'Showing {shown} of {total} features', {
+          shown,
+          total
+        });
+      } else {
+        this.statusElement.textContent = '';
+      }
+    }
+
+    getPlans() {
+      return this.plans.map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Flat feature list: { id, name, section, values: { [planId]: { included, text } } },
+     * with name in the page language.
+     */
+    getFeatures() {
+      return this.sections.flatMap(section => section.features.map(feature => ({
+        id: feature.id,
+        name: this.getFeatureName(feature),
+        section: section.id,
+        values: feature.values
+      })));
+    }
+  }
+
+  // ===== Plan Wizard Manager =====
+  /**
+   * Short questionnaire on pricing.html that scores each plan against the
+   * comparison table's feature data and recommends the cheapest plan that
+   * meets every requirement.
+   */
+  class PlanWizardManager {
+    constructor(comparisonTable, pricing) {
+      this.comparisonTable = comparisonTable;
+      this.pricing = pricing;
+      this.container = document.getElementById('planWizard');
+      this.form = document.getElementById('planWizardForm');
+      this.progress = document.getElementById('planWizardProgress');
+      this.result = document.getElementById('planWizardResult');
+      this.steps = [];
+      this.currentStep = 0;
+      this.backButton = null;
+      this.nextButton = null;
+      this.recommendedPlan = null;
+      // Comparison table rows the answers are checked against
+      this.featureIds = {
+        teamSize: 'team-members',
+        storage: 'storage'
+      };
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.container || !this.form || !this.comparisonTable) return;
+        if (this.comparisonTable.getFeatures().length === 0) return;
+
+        this.steps = Array.from(this.form.querySelectorAll('.wizard-step'));
+        this.backButton = this.form.querySelector('[data-wizard-action="back"]');
+        this.nextButton = this.form.querySelector('[data-wizard-action="next"]');
+
+        this.bindEvents();
+        this.showStep(0, false);
+        // Hidden in the markup so it never shows without the script
+        this.container.hidden = false;
+      } catch (error) {
+        console.error('Failed to initialize PlanWizardManager:', error);
+      }
+    }
+
+    bindEvents() {
+      this.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.handleNext();
+      });
+
+      this.backButton.addEventListener('click', () => {
+        this.showStep(this.currentStep - 1);
+      });
+
+      document.addEventListener('localechange', () => this.renderLocale());
+
+      this.result.addEventListener('click', (event) => {
+        const action = event.target.closest('[data-wizard-action]');
+        if (!action) return;
+
+        if (action.dataset.wizardAction === 'restart') {
+          this.restart();
+        } else if (action.dataset.wizardAction === 'view') {
+          this.scrollToPlan(this.recommendedPlan);
+        }
+      });
+    }
+
+    /**
+     * Rewrites the progress, the buttons and any shown recommendation in
+     * the new language without moving focus.
+     */
+    renderLocale() {
+      try {
+        if (this.result.hidden) {
+          this.showStep(this.currentStep, false);
+        } else if (this.recommendedPlan) {
+          this.renderResult(this.getRecommendation(), false);
+        }
+
+        document.querySelectorAll('.recommended-badge').forEach(badge => {
+          badge.textContent = i18n.t('wizard.recommendedBadge', 'Recommended for you');
+        });
+      } catch (error) {
+        console.error('Failed to translate plan wizard:', error);
+      }
+    }
+
+    handleNext() {
+      try {
+        const step = this.steps[this.currentStep];
+        const invalid = Array.from(step.querySelectorAll('input')).find(input => !input.checkValidity());
+        if (invalid) {
+          invalid.reportValidity();
+          invalid.focus();
+          return;
+        }
+
+        if (this.currentStep < this.steps.length - 1) {
+          this.showStep(this.currentStep + 1);
+        } else {
+          this.recommend();
+        }
+      } catch (error) {
+        console.error('Failed to advance plan wizard:', error);
+      }
+    }
+
+    showStep(index, moveFocus = true) {
+      this.currentStep = Math.max(0, Math.min(index, this.steps.length - 1));
+
+      this.steps.forEach((step, stepIndex) => {
+        step.hidden = stepIndex !== this.currentStep;
+      });
+
+      const isLast = this.currentStep === this.steps.length - 1;
+      this.backButton.hidden = this.currentStep === 0;
+      this.nextButton.textContent = isLast
+        ? i18n.t('wizard.seeRecommendation', 'See recommendation')
+        : i18n.t('wizard.next', 'Next');
+
+      if (this.progress) {
+        this.progress.textContent = i18n.t('wizard.progress', 'Step {step} of {total}', {
+          step: this.currentStep + 1,
+          total: this.steps.length
+        });
+      }
+
+      if (moveFocus) {
+        const legend = this.steps[this.currentStep].querySelector('legend');
+        if (legend) legend.focus();
+      }
+    }
+
+    getAnswers() {
+      const data = new FormData(this.form);
+      return {
+        teamSize: Math.max(1, parseInt(data.get('teamSize'), 10) || 1),
+        features: data.getAll('features'),
+        storagePerUser: parseFloat(data.get('storagePerUser')) || 0
+      };
+    }
+
+    /**
+     * "Up to 50" -> 50, "Unlimited" -> Infinity, anything else -> null.
+     */
+    parseLimit(text) {
+      if (/unlimited/i.test(text)) return Infinity;
+      const match = text.match(/(\d[\d,]*)/);
+      return match ? parseInt(match[1].replace(/,/g, ''), 10) : null;
+    }
+
+    /**
+     * "100GB/user" -> { gigabytes: 100, perUser: true }.
+     */
+    parseStorage(text) {
+      if (/unlimited/i.test(text)) return { gigabytes: Infinity, perUser: false };
+      const match = text.match(/(\d+(?:\.\d+)?)\s*(GB|TB)/i);
+      if (!match) return null;
+
+      const amount = parseFloat(match[1]) * (match[2].toUpperCase() === 'TB' ? 1000 : 1);
+      return { gigabytes: amount, perUser: /\/\s*user/i.test(text) };
+    }
+
+    formatStorage(gigabytes) {
+      if (gigabytes === Infinity) return i18n.t('wizard.unlimitedStorage', 'unlimited storage');
+      return gigabytes >= 1000
+        ? localeFormatter.formatNumber(gigabytes / 1000, { style: 'unit', unit: 'terabyte', maximumFractionDigits: 1 })
+        : localeFormatter.formatNumber(gigabytes, { style: 'unit', unit: 'gigabyte', maximumFractionDigits: 0 });
+    }
+
+    /**
+     * Checks one plan against the answers. Each requirement yields a reason
+     * with met: true/false; requirements whose feature row is missing from
+     * the table are skipped.
+     */
+    evaluatePlan(plan, answers, features) {
+      const reasons = [];
+      const findFeature = id => features.find(feature => feature.id === id);
+
+      const team = findFeature(this.featureIds.teamSize);
+      if (team) {
+        const limit = this.parseLimit(team.values[plan.id].text);
+        if (limit !== null) {
+          reasons.push({
+            met: limit >= answers.teamSize,
+            text: limit === Infinity
+              ? i18n.t('wizard.unlimitedTeam', 'Unlimited team members')
+              : i18n.t('wizard.teamLimit', 'Up to {limit} team members (you need {needed})', {
+                limit: localeFormatter.formatNumber(limit),
+                needed: localeFormatter.formatNumber(answers.teamSize)
+              })
+          });
+        }
+      }
+
+      answers.features.forEach(id => {
+        const feature = findFeature(id);
+        if (!feature) {
+          console.warn(`Plan wizard feature "${id}" is not in the comparison table`);
+          return;
+        }
+        reasons.push({
+          met: feature.values[plan.id].included,
+          text: feature.values[plan.id].included
+            ? i18n.t('wizard.includes', 'Includes {feature}', { feature: feature.name })
+            : i18n.t('wizard.missing', 'No {feature}', { feature: feature.name })
+        });
+      });
+
+      const storageFeature = findFeature(this.featureIds.storage);
+      const storage = storageFeature ? this.parseStorage(storageFeature.values[plan.id].text) : null;
+      if (storage && answers.storagePerUser > 0) {
+        const needed = answers.storagePerUser * answers.teamSize;
+        const available = storage.perUser ? storage.gigabytes * answers.teamSize : storage.gigabytes;
+        reasons.push({
+          met: available >= needed,
+          text: i18n.t('wizard.storage', '{available} of storage for your team (you need about {needed})', {
+            available: this.formatStorage(available),
+            needed: this.formatStorage(needed)
+          })
+        });
+      }
+
+      return {
+        plan,
+        reasons,
+        met: reasons.filter(reason => reason.met).length,
+        eligible: reasons.every(reason => reason.met)
+      };
+    }
+
+    /**
+     * The cheapest plan meeting every requirement, else the plan meeting the
+     * most. Plans without a configured price keep their table order.
+     */
+    getRecommendation(answers = this.getAnswers()) {
+      const features = this.comparisonTable.getFeatures();
+      const price = plan => {
+        const value = this.pricing ? this.pricing.getPrice(plan.id, 'monthly') : null;
+        return value === null ? Infinity : value;
+      };
+
+      const results = this.comparisonTable.getPlans()
+        .map((plan, order) => ({ ...this.evaluatePlan(plan, answers, features), order, price: price(plan) }));
+
+      const eligible = results.filter(result => result.eligible);
+      const byPrice = (a, b) => (a.price - b.price) || (a.order - b.order);
+
+      if (eligible.length > 0) {
+        return eligible.sort(byPrice)[0];
+      }
+
+      return results.sort((a, b) => (b.met - a.met) || (b.order - a.order))[0];
+    }
+
+    recommend() {
+      try {
+        const answers = this.getAnswers();
+        const recommendation = this.getRecommendation(answers);
+        if (!recommendation) return;
+
+        this.recommendedPlan = recommendation.plan.id;
+        this.highlightPlan(this.recommendedPlan);
+
+        if (this.pricing) {
+          this.pricing.selectPlan(this.recommendedPlan);
+          if (this.pricing.calculatorReady) {
+            this.pricing.setSeats(answers.teamSize, false);
+          }
+        }
+
+        this.renderResult(recommendation);
+      } catch (error) {
+        console.error('Failed to recommend a plan:', error);
+      }
+    }
+
+    highlightPlan(planId) {
+      document.querySelectorAll('.pricing-card[data-plan]').forEach(card => {
+        const isRecommended = card.dataset.plan === planId;
+        card.classList.toggle('is-recommended', isRecommended);
+
+        const badge = card.querySelector('.recommended-badge');
+        if (isRecommended && !badge) {
+          const label = document.createElement('div');
+          label.className = 'recommended-badge';
+          label.textContent = i18n.t('wizard.recommendedBadge', 'Recommended for you');
+          const header = card.querySelector('.plan-header') || card;
+          header.insertBefore(label, header.firstChild);
+        } else if (!isRecommended && badge) {
+          badge.remove();
+        }
+      });
+    }
+
+    renderResult(recommendation, moveFocus = true) {
+      this.result.innerHTML = '';
+
+      const heading = document.createElement('h4');
+      heading.textContent = recommendation.eligible
+        ? i18n.t('wizard.recommend', 'We recommend {plan}', { plan: recommendation.plan.name })
+        : i18n.t('wizard.closest', '{plan} comes closest', { plan: recommendation.plan.name });
+
+      const summary = document.createElement('p');
+      summary.textContent = recommendation.eligible
+        ? i18n.t('wizard.eligible', 'It is the most affordable plan that covers everything you asked for:')
+        : i18n.t('wizard.noneEligible', 'No plan covers everything you asked for. Talk to our sales team about a custom setup.');
+
+      const list = document.createElement('ul');
+      list.className = 'plan-wizard-reasons';
+      recommendation.reasons.forEach(reason => {
+        const item = document.createElement('li');
+        item.classList.toggle('is-unmet', !reason.met);
+
+        const icon = document.createElement('i');
+        icon.className = reason.met ? 'bi bi-check-circle-fill text-success' : 'bi bi-x-circle text-muted';
+        icon.setAttribute('aria-hidden', 'true');
+
+        item.append(icon, ` ${reason.text}`);
+        list.appendChild(item);
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'plan-wizard-actions';
+
+      const view = document.createElement('button');
+      view.type = 'button';
+      view.className = 'btn btn-primary';
+      view.dataset.wizardAction = 'view';
+      view.textContent = i18n.t('wizard.viewPlan', 'View {plan}', { plan: recommendation.plan.name });
+
+      const restart = document.createElement('button');
+      restart.type = 'button';
+      restart.className = 'btn btn-outline';
+      restart.dataset.wizardAction = 'restart';
+      restart.textContent = i18n.t('wizard.restart', 'Start over');
+
+      actions.append(view, restart);
+      this.result.append(heading, summary, list, actions);
+
+      this.form.hidden = true;
+      this.result.hidden = false;
+      if (this.progress) this.progress.textContent = '';
+      if (moveFocus) this.result.focus();
+    }
+
+    scrollToPlan(planId) {
+      const card = document.querySelector(`.pricing-card[data-plan="${planId}"]`);
+      if (!card) return;
+
+      if (!card.id) card.id = `plan-${planId}`;
+      if (window.smoothScrollManager) {
+        window.smoothScrollManager.smoothScrollTo(`#${card.id}`);
+      } else {
+        card.scrollIntoView({ behavior: 'smooth' });
+      }
+    }
+
+    restart() {
+      this.form.reset();
+      this.form.hidden = false;
+      this.result.hidden = true;
+      this.recommendedPlan = null;
+      this.highlightPlan(null);
+      this.showStep(0);
+    }
+  }
+
+  // ===== FAQ Manager =====
+  /**
+   * Turns each .faq-grid of .faq-item (h3.faq-question + p.faq-answer) into
+   * a WAI-ARIA accordion with a live filter, per-question anchors and
+   * FAQPage JSON-LD built from the same content.
+   */
+  class FAQManager {
+    constructor() {
+      this.grids = document.querySelectorAll('.faq-grid');
+      this.items = [];
+      this.filters = [];
+
+      this.init();
+    }
+
+    init() {
+      try {
+        this.grids.forEach((grid, index) => this.setupGrid(grid, index));
+        if (this.items.length === 0) return;
+
+        this.renderStructuredData();
+        this.bindEvents();
+        this.openFromHash(window.location.hash, false);
+      } catch (error) {
+        console.error('Failed to initialize FAQManager:', error);
+      }
+    }
+
+    setupGrid(grid, gridIndex) {
+      const items = Array.from(grid.querySelectorAll('.faq-item')).map((element, index) => {
+        const heading = element.querySelector('.faq-question');
+        const panel = element.querySelector('.faq-answer');
+        if (!heading || !panel) return null;
+
+        const question = heading.textContent.trim();
+        const answer = panel.textContent.trim().replace(/\s+/g, ' ');
+        if (!element.id) {
+          element.id = `faq-${this.slugify(question)}`;
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'faq-toggle';
+        button.id = `${element.id}-question`;
+        button.setAttribute('aria-expanded', 'false');
+        button.setAttribute('aria-controls', `${element.id}-answer`);
+
+        const label = document.createElement('span');
+        label.className = 'faq-toggle-label';
+        label.textContent = question;
+        // The heading is emptied below, so its translation moves to the label
+        if (heading.dataset.i18n) {
+          label.dataset.i18n = heading.dataset.i18n;
+          delete heading.dataset.i18n;
+        }
+
+        const chevron = document.createElement('i');
+        chevron.className = 'bi bi-chevron-down faq-toggle-icon';
+        chevron.setAttribute('aria-hidden', 'true');
+        button.append(label, chevron);
+
+        const anchor = document.createElement('a');
+        anchor.className = 'faq-anchor';
+        anchor.href = `#${element.id}`;
+        const item = { element, grid, button, label, anchor, panel, question, answer, open: false };
+        anchor.setAttribute('aria-label', this.getAnchorLabel(item));
+        const anchorIcon = document.createElement('i');
+        anchorIcon.className = 'bi bi-link-45deg';
+        anchorIcon.setAttribute('aria-hidden', 'true');
+        anchor.appendChild(anchorIcon);
+
+        heading.textContent = '';
+        heading.append(button, anchor);
+
+        panel.id = `${element.id}-answer`;
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-labelledby', button.id);
+        panel.hidden = true;
+
+        return item;
+      }).filter(Boolean);
+
+      if (items.length === 0) return;
+
+      this.items.push(...items);
+      this.buildFilter(grid, gridIndex);
+    }
+
+    buildFilter(grid, gridIndex) {
+      const filter = document.createElement('div');
+      filter.className = 'faq-search';
+
+      const icon = document.createElement('i');
+      icon.className = 'bi bi-search';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const label = document.createElement('label');
+      label.className = 'sr-only';
+      label.htmlFor = `faqSearch${gridIndex}`;
+      label.dataset.i18n = 'faq.search';
+      label.textContent = 'Search questions';
+
+      const input = document.createElement('input');
+      input.type = 'search';
+      input.id = `faqSearch${gridIndex}`;
+      input.className = 'faq-search-input';
+      input.placeholder = 'Search questions';
+      input.dataset.i18nAttr = 'placeholder=faq.search';
+      input.autocomplete = 'off';
+      input.addEventListener('input', () => this.filter(grid, input.value));
+
+      const status = document.createElement('p');
+      status.className = 'faq-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+      this.filters.push({ grid, input, status });
+
+      filter.append(icon, label, input);
+      grid.before(filter, status);
+    }
+
+    slugify(text) {
+      return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    }
+
+    getAnchorLabel(item) {
+      return i18n.t('faq.anchor', 'Link to "{question}"', { question: this.getQuestion(item) });
+    }
+
+    /**
+     * Question and answer in the page language. item.question and
+     * item.answer keep the English markup text the translations fall back to.
+     */
+    getQuestion(item) {
+      return item.label.dataset.i18n ? i18n.t(item.label.dataset.i18n, item.question) : item.question;
+    }
+
+    getAnswer(item) {
+      return item.panel.dataset.i18n ? i18n.t(item.panel.dataset.i18n, item.answer) : item.answer;
+    }
+
+    bindEvents() {
+      this.items.forEach(item => {
+        item.button.addEventListener('click', () => this.toggle(item.element.id));
+        item.button.addEventListener('keydown', (event) => this.handleKeydown(event, item));
+      });
+
+      document.addEventListener('click', (event) => {
+        const link = event.target.closest('a[href^="#faq-"]');
+        if (!link || !this.getItem(link.getAttribute('href').slice(1))) return;
+
+        event.preventDefault();
+        const hash = link.getAttribute('href');
+        history.pushState(history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+        this.openFromHash(hash);
+      });
+
+      window.addEventListener('hashchange', () => this.openFromHash(window.location.hash));
+      window.addEventListener('popstate', () => this.openFromHash(window.location.hash));
+
+      document.addEventListener('localechange', () => {
+        this.items.forEach(item => {
+          item.anchor.setAttribute('aria-label', this.getAnchorLabel(item));
+        });
+        this.filters.forEach(({ grid, input }) => this.filter(grid, input.value));
+        this.renderStructuredData();
+      });
+    }
+
+    /**
+     * Arrow keys, Home and End move between the visible questions of a grid.
+     */
+    handleKeydown(event, item) {
+      const keys = ['ArrowDown', 'ArrowUp', 'Home', 'End'];
+      if (!keys.includes(event.key)) return;
+
+      const buttons = this.items
+        .filter(entry => entry.grid === item.grid && !entry.element.hidden)
+        .map(entry => entry.button);
+      const index = buttons.indexOf(item.button);
+      if (index === -1) return;
+
+      event.preventDefault();
+      let next = index;
+      if (event.key === 'ArrowDown') next = (index + 1) % buttons.length;
+      if (event.key === 'ArrowUp') next = (index - 1 + buttons.length) % buttons.length;
+      if (event.key === 'Home') next = 0;
+      if (event.key === 'End') next = buttons.length - 1;
+      buttons[next].focus();
+    }
+
+    getItem(id) {
+      return this.items.find(item => item.element.id === id) || null;
+    }
+
+    setOpen(item, open) {
+      item.open = open;
+      item.button.setAttribute('aria-expanded', String(open));
+      item.panel.hidden = !open;
+      item.element.classList.toggle('is-open', open);
+    }
+
+    toggle(id, open) {
+      try {
+        const item = this.getItem(id);
+        if (!item) return;
+        this.setOpen(item, typeof open === 'boolean' ? open : !item.open);
+      } catch (error) {
+        console.error('Failed to toggle FAQ item:', error);
+      }
+    }
+
+    open(id) {
+      this.toggle(id, true);
+    }
+
+    /**
+     * Opens the question named by a #faq-… hash and scrolls to it.
+     */
+    openFromHash(hash, scroll = true) {
+      try {
+        const item = hash ? this.getItem(decodeURIComponent(hash.slice(1))) : null;
+        if (!item) return;
+
+        if (item.element.hidden) {
+          this.clearFilter(item.grid);
+        }
+        this.open(item.element.id);
+
+        // On load the generic hash handling in init() does the scrolling
+        if (scroll && window.smoothScrollManager) {
+          window.smoothScrollManager.smoothScrollTo(`#${item.element.id}`);
+        }
+      } catch (error) {
+        console.error('Failed to open FAQ from hash:', error);
+      }
+    }
+
+    clearFilter(grid) {
+      const entry = this.filters.find(filter => filter.grid === grid);
+      if (entry) entry.input.value = '';
+      this.filter(grid, '');
+    }
+
+    /**
+     * Shows the questions whose question or answer contains the query,
+     * opens them and marks the matching text.
+     */
+    filter(grid, query) {
+      try {
+        const normalized = query.trim().toLowerCase();
+        let shown = 0;
+
+        this.items.filter(item => item.grid === grid).forEach(item => {
+          const question = this.getQuestion(item);
+          const answer = this.getAnswer(item);
+          const matches = !normalized ||
+            question.toLowerCase().includes(normalized) ||
+            answer.toLowerCase().includes(normalized);
+
+          item.element.hidden = !matches;
+          if (matches) shown++;
+          if (matches && normalized) this.setOpen(item, true);
+
+          highlightText(item.label, question, normalized);
+          highlightText(item.panel, answer, normalized);
+        });
+
+        const entry = this.filters.find(filter => filter.grid === grid);
+        if (entry) {
+          entry.status.textContent = !normalized
+            ? ''
+            : shown === 0
+              ? i18n.t('faq.noMatches', 'No questions match "{query}"', { query: query.trim() })
+              : shown === 1
+                ? i18n.t('faq.matchesOne', '{count} question matches', { count: shown })
+                : i18n.t('faq.matches', '{count} questions match', { count: shown });
+        }
+      } catch (error) {
+        console.error('Failed to filter FAQ:', error);
+      }
+    }
+
+    renderStructuredData() {
+      try {
+        const script = document.getElementById('faqStructuredData') || document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'faqStructuredData';
+        script.textContent = JSON.stringify({
+          '@context': 'https://schema.org',
+          '@type': 'FAQPage',
+          mainEntity: this.items.map(item => ({
+            '@type': 'Question',
+            name: this.getQuestion(item),
+            acceptedAnswer: {
+              '@type': 'Answer',
+              text: this.getAnswer(item)
+            }
+          }))
+        });
+
+        if (!script.parentNode) {
+          document.head.appendChild(script);
+        }
+      } catch (error) {
+        console.error('Failed to render FAQ structured data:', error);
+      }
+    }
+
+    getItems() {
+      return this.items.map(item => ({ id: item.element.id, question: this.getQuestion(item), answer: this.getAnswer(item) }));
+    }
+  }
+
+  // ===== Offline Page Manager =====
+  class OfflinePageManager {
+    constructor() {
+      this.section = document.querySelector('.offline-section');
+      this.retryButton = null;
+      this.statusElement = null;
+      this.pagesSection = null;
+      this.pagesList = null;
+      this.messageTimeout = 3000;
+      this.pageIcons = {
+        '/index.html': 'house',
+        '/features.html': 'star',
+        '/pricing.html': 'tag',
+        '/about.html': 'info-circle',
+        '/contact.html': 'envelope'
+      };
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.section) return;
+
+        this.retryButton = document.getElementById('offlineRetry');
+        this.statusElement = document.getElementById('offlineStatus');
+        this.pagesSection = document.getElementById('offlinePagesSection');
+        this.pagesList = document.getElementById('offlinePages');
+
+        this.bindEvents();
+        this.loadCachedPages();
+      } catch (error) {
+        console.error('Failed to initialize OfflinePageManager:', error);
+      }
+    }
+
+    bindEvents() {
+      try {
+        if (this.retryButton) {
+          this.retryButton.addEventListener('click', () => this.retry());
+        }
+
+        window.addEventListener('online', () => {
+          this.setStatus(i18n.t('offline.backOnline', 'Back online. Reloading...'));
+          this.retry();
+        });
+      } catch (error) {
+        console.error('Failed to bind offline page events:', error);
+      }
+    }
+
+    async retry() {
+      try {
+        if (this.retryButton) {
+          this.retryButton.disabled = true;
+        }
+        this.setStatus(i18n.t('offline.checking', 'Checking your connection...'));
+
+        // HEAD requests bypass the service worker cache, so this really hits the network
+        const response = await fetch(window.location.href, { method: 'HEAD', cache: 'no-store' });
+        if (!response.ok && response.status !== 405) {
+          throw new Error(`Unexpected status ${response.status}`);
+        }
+
+        window.location.reload();
+      } catch (error) {
+        this.setStatus(i18n.t('offline.stillOffline', 'Still offline. We\'ll reload automatically when your connection returns.'));
+        if (this.retryButton) {
+          this.retryButton.disabled = false;
+        }
+      }
+    }
+
+    async loadCachedPages() {
+      try {
+        const pages = await this.requestCachedPages();
+        this.renderCachedPages(pages);
+      } catch (error) {
+        console.error('Failed to load cached pages:', error);
+      }
+    }
+
+    requestCachedPages() {
+      return new Promise((resolve, reject) => {
+        const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+        if (!controller) {
+          resolve([]);
+          return;
+        }
+
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => reject(new Error('Service worker did not respond')), this.messageTimeout);
+
+        channel.port1.onmessage = (event) => {
+          clearTimeout(timer);
+          resolve((event.data && event.data.pages) || []);
+        };
+
+        controller.postMessage({ type: 'GET_CACHED_PAGES' }, [channel.port2]);
+      });
+    }
+
+    renderCachedPages(pages) {
+      if (!this.pagesList || !this.pagesSection || pages.length === 0) return;
+
+      this.pagesList.innerHTML = '';
+      pages.forEach(page => {
+        const link = document.createElement('a');
+        link.className = 'suggestion-link';
+        link.href = page.url;
+
+        const icon = document.createElement('i');
+        icon.className = `bi bi-${this.pageIcons[page.url] || 'file-earmark-text'}`;
+
+        const label = document.createElement('span');
+        label.textContent = page.title;
+
+        link.append(icon, label);
+        this.pagesList.appendChild(link);
+      });
+
+      this.pagesSection.hidden = false;
+    }
+
+    setStatus(message) {
+      if (this.statusElement) {
+        this.statusElement.textContent = message;
+      }
+    }
+  }
+
+  // ===== Keyboard Shortcuts =====
+  /**
+   * One keydown listener for every page-level shortcut. Managers register
+   * into it with an id, default keys and a scope: "global" shortcuts run
+   * while no dialog is open, "modal" ones while a dialog is. Keys are written
+   * "Mod+Shift+T", where Mod is Ctrl, or Cmd on a Mac. Two shortcuts can't
+   * share keys in one scope; a clashing registration is left unassigned.
+   * "?" lists every shortcut and lets the user remap them.
+   */
+  class ShortcutManager {
+    constructor() {
+      this.storageKey = 'novawave-shortcuts';
+      this.shortcuts = new Map();
+      this.overrides = {};
+      this.modalManager = null;
+      this.isMac = /Mac|iPhone|iPad/.test(navigator.platform || '');
+      this.modifierLabels = this.isMac
+        ? { Mod: '⌘', Alt: '⌥', Shift: '⇧' }
+        : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+
+      this.init();
+    }
+
+    init() {
+      try {
+        this.overrides = this.loadOverrides();
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Remaps made in another tab
+        window.addEventListener('storage', (e) => {
+          if (e.key !== this.storageKey && e.key !== null) return;
+          this.overrides = this.loadOverrides();
+          this.applyBindings();
+        });
+
+        this.register({
+          id: 'show-shortcuts',
+          keys: '?',
+          description: 'Show keyboard shortcuts',
+          handler: () => this.showHelp()
+        });
+      } catch (error) {
+        console.error('Failed to initialize ShortcutManager:', error);
+      }
+    }
+
+    // Dialogs switch the active scope to "modal" and host the help overlay
+    setModalManager(modalManager) {
+      this.modalManager = modalManager;
+    }
+
+    getScope() {
+      return this.modalManager && this.modalManager.getTopModal() ? 'modal' : 'global';
+    }
+
+    /**
+     * Options: id, keys, description, handler(event), scope ("global" or
+     * "modal") and when(), which lets the key through untouched while it
+     * returns false. Returns false when the keys were already taken.
+     */
+    register({ id, keys, description = id, handler, scope = 'global', when = null }) {
+      if (!id || typeof handler !== 'function') {
+        throw new TypeError('A shortcut needs an id and a handler function');
+      }
+      if (this.shortcuts.has(id)) {
+        throw new Error(`Shortcut "${id}" is already registered`);
+      }
+
+      const shortcut = {
+        id,
+        description,
+        handler,
+        scope,
+        when,
+        defaultKeys: this.normalizeKeys(keys),
+        keys: null
+      };
+      this.shortcuts.set(id, shortcut);
+
+      return this.bind(shortcut, this.getPreferredKeys(shortcut));
+    }
+
+    unregister(id) {
+      return this.shortcuts.delete(id);
+    }
+
+    getShortcuts() {
+      return Array.from(this.shortcuts.values()).map(({ id, description, scope, keys, defaultKeys }) => ({
+        id, description, scope, keys, defaultKeys
+      }));
+    }
+
+    getPreferredKeys(shortcut) {
+      return Object.prototype.hasOwnProperty.call(this.overrides, shortcut.id)
+        ? this.overrides[shortcut.id]
+        : shortcut.defaultKeys;
+    }
+
+    bind(shortcut, keys) {
+      const conflict = keys ? this.findConflict(keys, shortcut.scope, shortcut.id) : null;
+      if (conflict) {
+        console.warn(`Shortcut "${shortcut.id}" wants ${keys}, which "${conflict.id}" already uses; leaving it unassigned`);
+        shortcut.keys = null;
+        return false;
+      }
+
+      shortcut.keys = keys;
+      return true;
+    }
+
+    // Re-resolves every binding in registration order after overrides change
+    applyBindings() {
+      this.shortcuts.forEach(shortcut => {
+        shortcut.keys = null;
+      });
+      this.shortcuts.forEach(shortcut => this.bind(shortcut, this.getPreferredKeys(shortcut)));
+    }
+
+    findConflict(keys, scope, exceptId) {
+      return Array.from(this.shortcuts.values()).find(shortcut =>
+        shortcut.id !== exceptId && shortcut.scope === scope && shortcut.keys === keys
+      ) || null;
+    }
+
+    /**
+     * Rebinds a shortcut (null unassigns it) and saves the choice. Resolves
+     * to { ok: false, conflict } and changes nothing when the keys are taken.
+     */
+    setKeys(id, keys) {
+      const shortcut = this.shortcuts.get(id);
+      if (!shortcut) return { ok: false, conflict: null };
+
+      const normalized = keys ? this.normalizeKeys(keys) : null;
+      const conflict = normalized ? this.findConflict(normalized, shortcut.scope, id) : null;
+      if (conflict) return { ok: false, conflict };
+
+      shortcut.keys = normalized;
+      if (normalized === shortcut.defaultKeys) {
+        delete this.overrides[id];
+      } else {
+        this.overrides[id] = normalized;
+      }
+      this.saveOverrides();
+      return { ok: true, conflict: null };
+    }
+
+    resetKeys() {
+      this.overrides = {};
+      this.saveOverrides();
+      this.applyBindings();
+    }
+
+    loadOverrides() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        const overrides = {};
+
+        // Keep only well-formed entries; null means "unassigned"
+        Object.entries(saved && typeof saved === 'object' ? saved : {}).forEach(([id, keys]) => {
+          if (keys === null || typeof keys === 'string') {
+            overrides[id] = keys && this.normalizeKeys(keys);
+          }
+        });
+        return overrides;
+      } catch (error) {
+        console.warn('Failed to load keyboard shortcuts:', error);
+        return {};
+      }
+    }
+
+    saveOverrides() {
+      try {
+        if (Object.keys(this.overrides).length === 0) {
+          localStorage.removeItem(this.storageKey);
+        } else {
+          localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+        }
+      } catch (error) {
+        console.warn('Failed to save keyboard shortcuts:', error);
+      }
+    }
+
+    /**
+     * Canonical form: modifiers in Mod, Alt, Shift order, then the key.
+     * Shift is dropped for symbols, which already include it ("?").
+     */
+    normalizeKeys(keys) {
+      const parts = String(keys).split('+').map(part => part.trim()).filter(Boolean);
+      const modifiers = new Set(parts.slice(0, -1).map(part => part.toLowerCase()));
+      const key = this.normalizeKey(parts[parts.length - 1] || '');
+      const symbol = key.length === 1 && !/[A-Z0-9]/.test(key);
+
+      return [
+        modifiers.has('mod') || modifiers.has('ctrl') || modifiers.has('cmd') ? 'Mod' : null,
+        modifiers.has('alt') ? 'Alt' : null,
+        modifiers.has('shift') && !symbol ? 'Shift' : null,
+        key
+      ].filter(Boolean).join('+');
+    }
+
+    normalizeKey(key) {
+      if (key.length === 1) return key.toUpperCase();
+      if (key.toLowerCase() === 'esc') return 'Escape';
+      return key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * The event's keys in canonical form, or null for a lone modifier.
+     */
+    getEventKeys(event) {
+      if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return null;
+
+      let key = event.key;
+      // Alt on a Mac and non-Latin layouts change the character, not the key
+      if ((event.altKey || event.ctrlKey || event.metaKey) && !/^[a-z]$/i.test(key) && /^Key[A-Z]$/.test(event.code)) {
+        key = event.code.slice(3);
+      }
+
+      const modifiers = [
+        event.ctrlKey || event.metaKey ? 'Mod' : null,
+        event.altKey ? 'Alt' : null,
+        event.shiftKey ? 'Shift' : null
+      ].filter(Boolean);
+
+      return this.normalizeKeys([...modifiers, key].join('+'));
+    }
+
+    isTyping(event) {
+      const target = event.target;
+      return Boolean(target && target.closest && (
+        target.isContentEditable || target.closest('input, textarea, select, [contenteditable="true"]')
+      ));
+    }
+
+    handleKeydown(event) {
+      try {
+        if (event.defaultPrevented || event.isComposing) return;
+
+        // Plain characters belong to whatever field has focus
+        const printable = event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey;
+        if (printable && this.isTyping(event)) return;
+
+        const keys = this.getEventKeys(event);
+        if (!keys) return;
+
+        const scope = this.getScope();
+        const shortcut = Array.from(this.shortcuts.values())
+          .find(candidate => candidate.scope === scope && candidate.keys === keys);
+        if (!shortcut || (shortcut.when && !shortcut.when())) return;
+
+        event.preventDefault();
+        shortcut.handler(event);
+      } catch (error) {
+        console.error('Failed to run keyboard shortcut:', error);
+      }
+    }
+
+    formatKeys(keys) {
+      const fragment = document.createDocumentFragment();
+
+      keys.split('+').forEach((part, index) => {
+        if (index > 0) fragment.append(this.isMac ? '' : ' + ');
+        const kbd = document.createElement('kbd');
+        kbd.textContent = this.modifierLabels[part] || (part === 'Escape' ? 'Esc' : part);
+        fragment.appendChild(kbd);
+      });
+
+      return fragment;
+    }
+
+    getDescription(shortcut) {
+      return i18n.t(`shortcuts.actions.${shortcut.id}`, shortcut.description);
+    }
+
+    showHelp() {
+      if (!this.modalManager) return;
+
+      this.modalManager.open({
+        id: 'shortcutHelp',
+        title: i18n.t('shortcuts.title', 'Keyboard shortcuts'),
+        className: 'shortcut-modal',
+        content: () => this.createHelpView()
+      });
+    }
+
+    createHelpView() {
+      const view = document.createElement('div');
+      view.className = 'shortcut-help';
+
+      const intro = document.createElement('p');
+      intro.className = 'shortcut-intro';
+      intro.textContent = i18n.t(
+        'shortcuts.intro',
+        'To change a shortcut, choose Change and press the new keys. Backspace removes it, Escape cancels.'
+      );
+
+      const list = document.createElement('dl');
+      list.className = 'shortcut-list';
+
+      const status = document.createElement('p');
+      status.className = 'shortcut-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+
+      const render = () => {
+        list.innerHTML = '';
+        this.shortcuts.forEach(shortcut => list.append(...this.createHelpRow(shortcut, status, render)));
+      };
+
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'btn btn-secondary';
+      reset.textContent = i18n.t('shortcuts.reset', 'Reset to defaults');
+      reset.addEventListener('click', () => {
+        this.resetKeys();
+        render();
+        status.textContent = i18n.t('shortcuts.resetDone', 'Shortcuts reset to their defaults.');
+      });
+      actions.appendChild(reset);
+
+      render();
+      view.append(intro, list, status, actions);
+      return view;
+    }
+
+    createHelpRow(shortcut, status, render) {
+      const term = document.createElement('dt');
+      term.textContent = this.getDescription(shortcut);
+      if (shortcut.scope === 'modal') {
+        const scope = document.createElement('span');
+        scope.className = 'shortcut-scope';
+        scope.textContent = i18n.t('shortcuts.inDialogs', 'In dialogs');
+        term.append(' ', scope);
+      }
+
+      const detail = document.createElement('dd');
+      const keys = document.createElement('span');
+      keys.className = 'shortcut-keys';
+      if (shortcut.keys) {
+        keys.appendChild(this.formatKeys(shortcut.keys));
+      } else {
+        keys.textContent = i18n.t('shortcuts.unassigned', 'Unassigned');
+      }
+
+      const change = document.createElement('button');
+      change.type = 'button';
+      change.className = 'shortcut-change';
+      change.textContent = i18n.t('shortcuts.change', 'Change');
+      change.setAttribute('aria-label', `${change.textContent}: ${term.textContent}`);
+
+      const stopRecording = () => {
+        change.setAttribute('aria-pressed', 'false');
+        change.textContent = i18n.t('shortcuts.change', 'Change');
+      };
+
+      change.addEventListener('click', () => {
+        change.setAttribute('aria-pressed', 'true');
+        change.textContent = i18n.t('shortcuts.recording', 'Press keys…');
+        status.textContent = '';
+      });
+      change.addEventListener('blur', stopRecording);
+
+      // While recording, the button swallows keys so they don't also run shortcuts
+      change.addEventListener('keydown', (event) => {
+        if (change.getAttribute('aria-pressed') !== 'true' || event.key === 'Tab') return;
+
+        const keys = this.getEventKeys(event);
+        if (!keys) return;
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (keys === 'Escape') {
+          stopRecording();
+          return;
+        }
+
+        const result = this.setKeys(shortcut.id, keys === 'Backspace' || keys === 'Delete' ? null : keys);
+        if (!result.ok) {
+          status.textContent = i18n.t('shortcuts.conflict', '{keys} is already used by "{action}".', {
+            keys: this.formatKeys(keys).textContent,
+            action: this.getDescription(result.conflict)
+          });
+          return;
+        }
+
+        render();
+        status.textContent = i18n.t('shortcuts.saved', 'Shortcut saved.');
+        const next = Array.from(status.parentNode.querySelectorAll('.shortcut-change'))
+          .find(button => button.dataset.shortcut === shortcut.id);
+        if (next) next.focus();
+      });
+      change.dataset.shortcut = shortcut.id;
+
+      detail.append(keys, change);
+      return [term, detail];
+    }
+  }
+
+  // ===== Modal Manager =====
+  /**
+   * Accessible dialogs built on the .contact-modal styles. Dialogs stack,
+   * trap focus, hand it back to the opener on close and share the body
+   * scroll lock with the mobile menu. open() returns a promise that settles
+   * with the value passed to close(), or null when the dialog is dismissed.
+   */
+  class ModalManager {
+    constructor(performanceManager, shortcuts) {
+      this.performanceManager = performanceManager;
+      this.shortcuts = shortcuts;
+      this.stack = [];
+      this.baseZIndex = 10000;
+      this.transitionDuration = 300;
+      this.counter = 0;
+      this.focusableSelector = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+      this.init();
+    }
+
+    init() {
+      try {
+        // Capture phase so focus is kept inside the top dialog before any
+        // page-level Tab handling runs
+        document.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+
+        if (this.shortcuts) {
+          this.shortcuts.register({
+            id: 'close-dialog',
+            keys: 'Escape',
+            description: 'Close the dialog',
+            scope: 'modal',
+            when: () => this.getTopModal().dismissible,
+            handler: () => this.close(null)
+          });
+        }
+      } catch (error) {
+        console.error('Failed to initialize ModalManager:', error);
+      }
+    }
+
+    /**
+     * Options: title, content (Node, text, or a function receiving the
+     * dialog handle and returning a Node), id (reopening an open id returns
+     * its pending promise), className, dismissible (Escape, backdrop and
+     * close button; default true) and initialFocus (element or selector).
+     */
+    open(options = {}) {
+      try {
+        const existing = options.id && this.stack.find(modal => modal.id === options.id);
+        if (existing) return existing.promise;
+
+        const modal = this.createModal(options);
+        modal.promise = new Promise(resolve => {
+          modal.resolve = resolve;
+        });
+
+        const previousTop = this.getTopModal();
+        if (previousTop) previousTop.element.setAttribute('inert', '');
+
+        modal.element.style.zIndex = String(this.baseZIndex + this.stack.length);
+        this.stack.push(modal);
+        document.body.appendChild(modal.element);
+        scrollLock.lock(modal);
+
+        // .contact-modal is visibility: hidden until .show, so focus has to
+        // wait for the class.
+        requestAnimationFrame(() => {
+          modal.element.classList.add('show');
+          this.focusInitial(modal, options.initialFocus);
+        });
+
+        return modal.promise;
+      } catch (error) {
+        console.error('Failed to open modal:', error);
+        return Promise.resolve(null);
+      }
+    }
+
+    createModal(options) {
+      const id = options.id || `modal-${++this.counter}`;
+      const titleId = `${id}-title`;
+      const dismissible = options.dismissible !== false;
+
+      const element = document.createElement('div');
+      element.className = ['contact-modal', options.className].filter(Boolean).join(' ');
+      element.dataset.modalId = id;
+
+      const backdrop = document.createElement('div');
+      backdrop.className = 'modal-backdrop';
+
+      const dialog = document.createElement('div');
+      dialog.className = 'modal-content glass-card';
+      dialog.setAttribute('role', 'dialog');
+      dialog.setAttribute('aria-modal', 'true');
+      dialog.setAttribute('aria-labelledby', titleId);
+      dialog.tabIndex = -1;
+
+      const header = document.createElement('div');
+      header.className = 'modal-header';
+
+      const title = document.createElement('h3');
+      title.id = titleId;
+      title.textContent = options.title || '';
+      header.appendChild(title);
+
+      const body = document.createElement('div');
+      body.className = 'modal-body';
+
+      const modal = {
+        id,
+        element,
+        dialog,
+        body,
+        dismissible,
+        opener: document.activeElement,
+        close: (value) => this.close(value, modal)
+      };
+
+      if (dismissible) {
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'modal-close';
+        closeButton.setAttribute('aria-label', i18n.t('modal.close', 'Close dialog'));
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => modal.close(null));
+        header.appendChild(closeButton);
+
+        backdrop.addEventListener('click', () => modal.close(null));
+      }
+
+      const content = typeof options.content === 'function' ? options.content(modal) : options.content;
+      if (content instanceof Node) {
+        body.appendChild(content);
+      } else if (content) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = content;
+        body.appendChild(paragraph);
+      }
+
+      dialog.append(header, body);
+      element.append(backdrop, dialog);
+      return modal;
+    }
+
+    /**
+     * Resolves to true when the visitor confirms, false otherwise.
+     */
+    confirm({
+      title = i18n.t('modal.confirmTitle', 'Are you sure?'),
+      message = '',
+      confirmLabel = i18n.t('modal.confirm', 'Confirm'),
+      cancelLabel = i18n.t('modal.cancel', 'Cancel')
+    } = {}) {
+      return this.open({
+        title,
+        content: (modal) => {
+          const wrapper = document.createElement('div');
+          const text = document.createElement('p');
+          text.textContent = message;
+
+          const actions = document.createElement('div');
+          actions.className = 'modal-actions';
+
+          const confirmButton = document.createElement('button');
+          confirmButton.type = 'button';
+          confirmButton.className = 'btn btn-primary';
+          confirmButton.textContent = confirmLabel;
+          confirmButton.addEventListener('click', () => modal.close(true));
+
+          const cancelButton = document.createElement('button');
+          cancelButton.type = 'button';
+          cancelButton.className = 'btn btn-secondary';
+          cancelButton.textContent = cancelLabel;
+          cancelButton.addEventListener('click', () => modal.close(false));
+
+          actions.append(confirmButton, cancelButton);
+          wrapper.append(text, actions);
+          return wrapper;
+        }
+      }).then(result => result === true);
+    }
+
+    close(value = null, modal = this.getTopModal()) {
+      try {
+        const index = this.stack.indexOf(modal);
+        if (index === -1) return;
+
+        const wasTop = index === this.stack.length - 1;
+        this.stack.splice(index, 1);
+
+        modal.element.classList.remove('show');
+        scrollLock.unlock(modal);
+        setTimeout(() => modal.element.remove(), this.transitionDuration);
+
+        const top = this.getTopModal();
+        if (wasTop) {
+          if (top) top.element.removeAttribute('inert');
+          this.restoreFocus(modal.opener, top);
+        }
+
+        modal.resolve(value);
+      } catch (error) {
+        console.error('Failed to close modal:', error);
+      }
+    }
+
+    closeAll() {
+      [...this.stack].reverse().forEach(modal => this.close(null, modal));
+    }
+
+    focusInitial(modal, initialFocus) {
+      try {
+        const target = typeof initialFocus === 'string'
+          ? modal.dialog.querySelector(initialFocus)
+          : initialFocus || modal.body.querySelector(this.focusableSelector);
+
+        (target || modal.dialog).focus();
+      } catch (error) {
+        console.error('Failed to focus modal:', error);
+      }
+    }
+
+    restoreFocus(opener, top) {
+      try {
+        if (opener && opener.isConnected && opener !== document.body && (!top || top.dialog.contains(opener))) {
+          opener.focus();
+        } else if (top) {
+          this.focusInitial(top);
+        }
+      } catch (error) {
+        console.error('Failed to restore focus:', error);
+      }
+    }
+
+    handleKeydown(event) {
+      try {
+        const modal = this.getTopModal();
+        if (modal && event.key === 'Tab') {
+          this.handleTab(modal, event);
+        }
+      } catch (error) {
+        console.error('Failed to handle modal keydown:', error);
+      }
+    }
+
+    handleTab(modal, event) {
+      const focusable = modal.dialog.querySelectorAll(this.focusableSelector);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        modal.dialog.focus();
+        return;
+      }
+
+      // trapFocus only wraps at the edges, so pull stray focus back first.
+      if (!modal.dialog.contains(document.activeElement) || document.activeElement === modal.dialog) {
+        event.preventDefault();
+        focusable[event.shiftKey ? focusable.length - 1 : 0].focus();
+        return;
+      }
+
+      if (this.performanceManager) {
+        this.performanceManager.trapFocus(modal.dialog, event);
+      }
+    }
+
+    getTopModal() {
+      return this.stack[this.stack.length - 1] || null;
+    }
+
+    isOpen(id) {
+      return id ? this.stack.some(modal => modal.id === id) : this.stack.length > 0;
+    }
+  }
+
+  // ===== Live Chat =====
+  /**
+   * Chat transports share one interface so LiveChatManager doesn't care how
+   * events travel. connect(sessionId, cursor) starts delivery, send(event)
+   * sends a { type: 'message' | 'typing' } event and disconnect() stops.
+   * Incoming { events, cursor } batches go to onEvents and connection changes
+   * ('connecting', 'open' or 'closed') to onStatus.
+   */
+  class LongPollChatTransport {
+    constructor(endpoint) {
+      this.endpoint = endpoint;
+      this.onEvents = () => {};
+      this.onStatus = () => {};
+      this.sessionId = null;
+      this.cursor = 0;
+      this.active = false;
+      this.hasOpened = false;
+      this.controller = null;
+      this.retryDelay = 1000;
+      this.maxRetryDelay = 30000;
+    }
+
+    connect(sessionId, cursor = 0) {
+      this.sessionId = sessionId;
+      this.cursor = cursor;
+      this.active = true;
+      this.onStatus('connecting');
+      this.poll(0);
+    }
+
+    async poll(wait) {
+      while (this.active) {
+        try {
+          this.controller = new AbortController();
+          const params = new URLSearchParams({ session: this.sessionId, since: this.cursor });
+          if (wait !== undefined) params.set('wait', wait);
+
+          const response = await fetch(`${this.endpoint}/events?${params}`, {
+            cache: 'no-store',
+            signal: this.controller.signal
+          });
+          if (!response.ok) {
+            throw new Error(`Chat poll failed with ${response.status}`);
+          }
+
+          const payload = await response.json();
+          if (!this.active) return;
+
+          this.hasOpened = true;
+          this.retryDelay = 1000;
+          this.onStatus('open');
+          this.cursor = payload.cursor;
+          if (payload.events.length > 0) this.onEvents(payload);
+          wait = undefined;
+        } catch (error) {
+          if (!this.active) return;
+
+          this.onStatus('closed');
+          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+          this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+          wait = 0;
+        }
+      }
+    }
+
+    async send(event) {
+      const path = event.type === 'typing' ? 'typing' : 'messages';
+      const response = await fetch(`${this.endpoint}/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...event, sessionId: this.sessionId })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Chat send failed with ${response.status}`);
+      }
+      return response.json();
+    }
+
+    disconnect() {
+      this.active = false;
+      if (this.controller) this.controller.abort();
+    }
+  }
+
+  class WebSocketChatTransport {
+    constructor(url) {
+      this.url = url;
+      this.onEvents = () => {};
+      this.onStatus = () => {};
+      this.sessionId = null;
+      this.cursor = 0;
+      this.active = false;
+      this.hasOpened = false;
+      this.socket = null;
+      this.reconnectTimer = null;
+      this.retryDelay = 1000;
+      this.maxRetryDelay = 30000;
+      // Sent messages by clientId, settled by the server's echo or rejection
+      this.pendingSends = new Map();
+      this.sendTimeout = 10000;
+    }
+
+    connect(sessionId, cursor = 0) {
+      this.sessionId = sessionId;
+      this.cursor = cursor;
+      this.active = true;
+      this.open();
+    }
+
+    settleSend(clientId, error = null) {
+      const pending = this.pendingSends.get(clientId);
+      if (!pending) return;
+
+      this.pendingSends.delete(clientId);
+      clearTimeout(pending.timer);
+      if (error) {
+        pending.reject(error);
+      } else {
+        pending.resolve();
+      }
+    }
+
+    open() {
+      const url = new URL(this.url, window.location.href);
+      url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+      url.searchParams.set('session', this.sessionId);
+      url.searchParams.set('since', this.cursor);
+
+      this.onStatus('connecting');
+      const socket = new WebSocket(url.href);
+      this.socket = socket;
+
+      socket.addEventListener('open', () => {
+        this.hasOpened = true;
+        this.retryDelay = 1000;
+        this.onStatus('open');
+      });
+
+      socket.addEventListener('message', (event) => {
+        try {
+          const payload = JSON.parse(event.data);
+          if (payload.error) {
+            console.warn('Chat server rejected an event:', payload.error);
+            if (payload.clientId) this.settleSend(payload.clientId, new Error(payload.error));
+            return;
+          }
+
+          this.cursor = payload.cursor;
+          if (payload.events.length > 0) this.onEvents(payload);
+          payload.events.forEach(chatEvent => {
+            if (chatEvent.clientId) this.settleSend(chatEvent.clientId);
+          });
+        } catch (error) {
+          console.error('Failed to read chat event:', error);
+        }
+      });
+
+      socket.addEventListener('close', () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        this.failPendingSends();
+        if (!this.active) return;
+
+        this.onStatus('closed');
+        // onStatus may have disconnected us, e.g. to fall back to long-polling
+        if (!this.active) return;
+        this.reconnectTimer = setTimeout(() => this.open(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+      });
+    }
+
+    /**
+     * Resolves a message once the server echoes it back and rejects if the
+     * server refuses it or the connection drops first. Typing events resolve
+     * as soon as they are written.
+     */
+    send(event) {
+      if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+        return Promise.reject(new Error('Chat is not connected'));
+      }
+
+      this.socket.send(JSON.stringify(event));
+      if (event.type !== 'message' || !event.clientId) return Promise.resolve();
+
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.settleSend(event.clientId, new Error('Chat message was not confirmed'));
+        }, this.sendTimeout);
+        this.pendingSends.set(event.clientId, { resolve, reject, timer });
+      });
+    }
+
+    failPendingSends() {
+      Array.from(this.pendingSends.keys()).forEach(clientId => {
+        this.settleSend(clientId, new Error('Chat connection closed'));
+      });
+    }
+
+    disconnect() {
+      this.active = false;
+      clearTimeout(this.reconnectTimer);
+      this.failPendingSends();
+      if (this.socket) {
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+      }
+    }
+  }
+
+  /**
+   * Live chat with the support team. The conversation is kept in
+   * localStorage so it follows the visitor across pages: once it has started,
+   * every page shows a launcher with an unread badge and keeps listening for
+   * replies. Open it from any [data-chat-open] element. Message text is only
+   * ever rendered with textContent.
+   */
+  class LiveChatManager {
+    constructor(modalManager) {
+      this.modalManager = modalManager;
+      this.storageKey = 'novawave-chat';
+      this.endpoint = '/api/chat';
+      this.socketUrl = '/api/chat/socket';
+      // 'auto' tries the WebSocket first and falls back to long-polling
+      // when it can't connect at all.
+      this.transportName = 'auto';
+      this.transportFactories = {
+        websocket: () => new WebSocketChatTransport(this.socketUrl),
+        longpoll: () => new LongPollChatTransport(this.endpoint)
+      };
+      this.transport = null;
+      this.status = 'closed';
+      this.state = this.getEmptyState();
+      this.agent = { name: 'Sarah Wilson', role: 'Customer Success' };
+      this.maxLength = 2000;
+      this.agentTyping = false;
+      this.typingSentAt = 0;
+      this.typingTimeout = null;
+      this.typingInterval = 3000;
+      this.outbox = new Set();
+      this.inFlight = new Set();
+      this.openButtons = document.querySelectorAll('[data-chat-open]');
+      this.launcher = null;
+      this.view = null;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.modalManager) return;
+
+        this.loadState();
+        this.markStaleMessagesFailed();
+        this.bindEvents();
+
+        if (this.state.messages.length > 0) {
+          this.renderLauncher();
+          this.connect();
+        }
+        this.updateBadges();
+      } catch (error) {
+        console.error('Failed to initialize LiveChatManager:', error);
+      }
+    }
+
+    bindEvents() {
+      this.openButtons.forEach(button => {
+        button.appendChild(this.createBadge());
+        button.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.open();
+        });
+      });
+
+      document.addEventListener('localechange', () => {
+        this.updateBadges();
+        if (!this.view) return;
+        this.renderViewText();
+        this.setStatus(this.status);
+        this.renderMessages();
+      });
+
+      // Another tab may have received or sent messages
+      window.addEventListener('storage', (e) => {
+        if (e.key !== this.storageKey) return;
+        this.loadState();
+        if (this.state.messages.length === 0) {
+          this.reset();
+          return;
+        }
+        this.renderLauncher();
+        this.renderMessages();
+        this.updateBadges();
+      });
+
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && this.view) this.markRead();
+      });
+    }
+
+    registerTransport(name, factory) {
+      if (typeof factory !== 'function') {
+        throw new TypeError(`Chat transport "${name}" must be a function`);
+      }
+      this.transportFactories[name] = factory;
+    }
+
+    // ----- State -----
+
+    getEmptyState() {
+      return { sessionId: null, cursor: 0, messages: [], unread: 0 };
+    }
+
+    loadState() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(this.storageKey));
+        this.state = stored && Array.isArray(stored.messages) ? { ...this.getEmptyState(), ...stored } : this.getEmptyState();
+      } catch (error) {
+        this.state = this.getEmptyState();
+      }
+    }
+
+    saveState() {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+      } catch (error) {
+        console.warn('Failed to save chat history:', error);
+      }
+    }
+
+    // Messages still pending from a previous page were cut off by navigation
+    markStaleMessagesFailed() {
+      const stale = this.state.messages.filter(message => message.pending);
+      if (stale.length === 0) return;
+
+      stale.forEach(message => {
+        message.pending = false;
+        message.failed = true;
+      });
+      this.saveState();
+    }
+
+    createSessionId() {
+      if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+      }
+      return `chat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // ----- Connection -----
+
+    connect(name = this.transportName) {
+      try {
+        if (!this.state.sessionId) {
+          this.state.sessionId = this.createSessionId();
+          this.saveState();
+        }
+
+        const useAuto = name === 'auto';
+        const transportName = useAuto ? ('WebSocket' in window ? 'websocket' : 'longpoll') : name;
+        const transport = this.transportFactories[transportName]();
+
+        transport.onEvents = (payload) => this.handleEvents(payload);
+        transport.onStatus = (status) => {
+          if (this.transport !== transport) return;
+          if (useAuto && transportName === 'websocket' && status === 'closed' && !transport.hasOpened) {
+            transport.disconnect();
+            this.connect('longpoll');
+            return;
+          }
+          this.setStatus(status);
+        };
+
+        this.transport = transport;
+        transport.connect(this.state.sessionId, this.state.cursor);
+      } catch (error) {
+        console.error('Failed to connect live chat:', error);
+        this.setStatus('closed');
+      }
+    }
+
+    disconnect() {
+      if (this.transport) {
+        this.transport.disconnect();
+        this.transport = null;
+      }
+      this.setStatus('closed');
+    }
+
+    setStatus(status) {
+      this.status = status;
+      if (status === 'open') this.flushOutbox();
+      if (status === 'closed') this.failOutbox();
+      if (!this.view) return;
+
+      const labels = {
+        connecting: i18n.t('chat.connecting', 'Connecting…'),
+        open: i18n.t('chat.online', '{role} • Online', { role: i18n.t('chat.agentRole', this.agent.role) }),
+        closed: i18n.t('chat.reconnecting', 'Reconnecting…')
+      };
+      this.view.status.textContent = labels[status] || '';
+      this.view.root.dataset.status = status;
+    }
+
+    // ----- Events -----
+
+    handleEvents({ events, cursor }) {
+      try {
+        // Pick up anything another tab stored first so both tabs agree
+        this.loadState();
+        let received = 0;
+
+        events.forEach(event => {
+          if (event.type === 'typing') {
+            if (event.from === 'agent') this.setAgentTyping(event.typing);
+            return;
+          }
+
+          if (event.type === 'message' && this.mergeMessage(event)) {
+            if (event.from === 'agent') {
+              received++;
+              if (event.author) this.agent = event.author;
+            }
+          }
+        });
+
+        this.state.cursor = Math.max(this.state.cursor, cursor);
+        if (received > 0 && (!this.view || document.hidden)) {
+          this.state.unread += received;
+        }
+
+        this.saveState();
+        this.renderMessages();
+        this.updateBadges();
+      } catch (error) {
+        console.error('Failed to handle chat events:', error);
+      }
+    }
+
+    /**
+     * Adds a server message to the history, replacing the optimistic copy
+     * sent from this browser. Returns false for messages already stored.
+     */
+    mergeMessage(event) {
+      const message = { id: event.id, from: event.from, text: String(event.text || ''), sentAt: event.sentAt };
+      const messages = this.state.messages;
+
+      if (messages.some(existing => existing.id === message.id)) return false;
+
+      const pendingIndex = event.clientId ? messages.findIndex(existing => existing.id === event.clientId) : -1;
+      if (pendingIndex !== -1) {
+        messages[pendingIndex] = message;
+        return false;
+      }
+
+      messages.push(message);
+      return true;
+    }
+
+    setAgentTyping(typing) {
+      this.agentTyping = Boolean(typing);
+      if (!this.view) return;
+
+      this.view.typing.hidden = !this.agentTyping;
+      if (this.agentTyping) this.scrollToLatest();
+    }
+
+    sendMessage(text) {
+      try {
+        const trimmed = text.trim().slice(0, this.maxLength);
+        if (!trimmed) return;
+
+        if (!this.transport) this.connect();
+        this.renderLauncher();
+
+        const clientId = `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const message = { id: clientId, from: 'visitor', text: trimmed, sentAt: new Date().toISOString(), pending: true };
+
+        this.state.messages.push(message);
+        this.saveState();
+        this.renderMessages();
+        this.deliver(message);
+      } catch (error) {
+        console.error('Failed to send chat message:', error);
+      }
+    }
+
+    /**
+     * Sends a message once the transport is open; until then it waits in the
+     * outbox, which is flushed on every (re)connect.
+     */
+    async deliver(message) {
+      const update = (changes) => {
+        const stored = this.state.messages.find(existing => existing.id === message.id);
+        if (!stored) return;
+        Object.assign(stored, changes);
+        this.saveState();
+        this.renderMessages();
+      };
+
+      update({ pending: true, failed: false });
+      this.outbox.add(message.id);
+      if (!this.transport || this.status !== 'open' || this.inFlight.has(message.id)) return;
+
+      this.inFlight.add(message.id);
+      try {
+        // Sending ends the visitor's typing; tell the agent now rather than
+        // dropping the pending typing:false
+        if (this.typingTimeout) {
+          clearTimeout(this.typingTimeout);
+          this.typingTimeout = null;
+          this.typingSentAt = 0;
+          this.transport.send({ type: 'typing', typing: false }).catch(() => {});
+        }
+        const result = await this.transport.send({ type: 'message', text: message.text, clientId: message.id });
+
+        // Long-poll answers with the stored message; WebSocket echoes it
+        if (result && result.message) {
+          this.handleEvents({ events: [result.message], cursor: this.state.cursor });
+        }
+        this.outbox.delete(message.id);
+      } catch (error) {
+        console.warn('Chat message was not delivered:', error);
+        this.outbox.delete(message.id);
+        update({ pending: false, failed: true });
+      } finally {
+        this.inFlight.delete(message.id);
+      }
+    }
+
+    failOutbox() {
+      const waiting = this.state.messages.filter(message => this.outbox.has(message.id) && !this.inFlight.has(message.id));
+      if (waiting.length === 0) return;
+
+      waiting.forEach(message => {
+        this.outbox.delete(message.id);
+        message.pending = false;
+        message.failed = true;
+      });
+      this.saveState();
+      this.renderMessages();
+    }
+
+    flushOutbox() {
+      this.state.messages
+        .filter(message => this.outbox.has(message.id) && !this.inFlight.has(message.id))
+        .forEach(message => this.deliver(message));
+    }
+
+    retry(id) {
+      const message = this.state.messages.find(existing => existing.id === id);
+      if (message) this.deliver(message);
+    }
+
+    notifyTyping() {
+      if (!this.transport || this.status !== 'open') return;
+
+      const now = Date.now();
+      if (now - this.typingSentAt > this.typingInterval) {
+        this.typingSentAt = now;
+        this.transport.send({ type: 'typing', typing: true }).catch(() => {});
+      }
+
+      clearTimeout(this.typingTimeout);
+      this.typingTimeout = setTimeout(() => {
+        this.typingTimeout = null;
+        this.typingSentAt = 0;
+        if (this.transport) this.transport.send({ type: 'typing', typing: false }).catch(() => {});
+      }, this.typingInterval);
+    }
+
+    markRead() {
+      if (this.state.unread === 0) return;
+      this.state.unread = 0;
+      this.saveState();
+      this.updateBadges();
+    }
+
+    // ----- Dialog -----
+
+    open() {
+      try {
+        if (!this.transport) this.connect();
+
+        return this.modalManager.open({
+          id: 'liveChat',
+          title: i18n.t('chat.title', 'Live Chat'),
+          initialFocus: '.chat-input input',
+          content: (modal) => this.createView(modal)
+        }).then(() => {
+          this.view = null;
+          // Nothing to listen for until the visitor says something
+          if (this.state.messages.length === 0) this.disconnect();
+        });
+      } catch (error) {
+        console.error('Failed to open live chat:', error);
+        return Promise.resolve(null);
+      }
+    }
+
+    createView(modal) {
+      const root = document.createElement('div');
+      root.className = 'chat-simulation';
+
+      const header = document.createElement('div');
+      header.className = 'chat-header';
+
+      const agentInfo = document.createElement('div');
+      agentInfo.className = 'agent-info';
+
+      const avatar = document.createElement('div');
+      avatar.className = 'agent-avatar';
+      avatar.setAttribute('aria-hidden', 'true');
+      avatar.textContent = '👩‍💼';
+
+      const details = document.createElement('div');
+      const name = document.createElement('div');
+      name.className = 'agent-name';
+      name.textContent = this.agent.name;
+      const status = document.createElement('div');
+      status.className = 'agent-status';
+      details.append(name, status);
+
+      const endButton = document.createElement('button');
+      endButton.type = 'button';
+      endButton.className = 'chat-end';
+      endButton.addEventListener('click', () => this.confirmEnd(modal));
+
+      agentInfo.append(avatar, details, endButton);
+      header.appendChild(agentInfo);
+
+      const messages = document.createElement('div');
+      messages.className = 'chat-messages';
+      messages.setAttribute('role', 'log');
+      messages.setAttribute('aria-live', 'polite');
+
+      const typing = document.createElement('div');
+      typing.className = 'chat-typing';
+      typing.hidden = !this.agentTyping;
+      typing.setAttribute('aria-live', 'polite');
+      const typingLabel = document.createElement('span');
+      const dots = document.createElement('span');
+      dots.className = 'chat-typing-dots';
+      dots.setAttribute('aria-hidden', 'true');
+      typing.append(typingLabel, dots);
+
+      const form = document.createElement('form');
+      form.className = 'chat-input';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = this.maxLength;
+      input.autocomplete = 'off';
+      input.addEventListener('input', () => this.notifyTyping());
+
+      const sendButton = document.createElement('button');
+      sendButton.type = 'submit';
+      sendButton.className = 'btn btn-primary';
+
+      form.append(input, sendButton);
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.sendMessage(input.value);
+        input.value = '';
+      });
+
+      messages.addEventListener('click', (e) => {
+        const retry = e.target.closest('.chat-retry');
+        if (retry) this.retry(retry.dataset.messageId);
+      });
+
+      root.append(header, messages, typing, form);
+      this.view = { root, messages, typing, typingLabel, status, input, endButton, sendButton };
+
+      this.renderViewText();
+      this.setStatus(this.status);
+      this.renderMessages();
+      this.markRead();
+      return root;
+    }
+
+    // The dialog's fixed labels, rewritten when the language changes
+    renderViewText() {
+      const { messages, typingLabel, input, endButton, sendButton } = this.view;
+      const firstName = this.agent.name.split(' ')[0];
+
+      endButton.textContent = i18n.t('chat.end', 'End chat');
+      messages.setAttribute('aria-label', i18n.t('chat.conversation', 'Conversation'));
+      typingLabel.textContent = i18n.t('chat.typing', '{name} is typing', { name: firstName });
+      input.placeholder = i18n.t('chat.placeholder', 'Type your message...');
+      input.setAttribute('aria-label', i18n.t('chat.message', 'Message'));
+      sendButton.textContent = i18n.t('chat.send', 'Send');
+    }
+
+    getGreeting() {
+      return i18n.t('chat.greeting', 'Hi! I\'m {name} from NovaWave. How can I help you today?', {
+        name: this.agent.name.split(' ')[0]
+      });
+    }
+
+    renderMessages() {
+      if (!this.view) return;
+
+      const list = this.view.messages;
+      list.textContent = '';
+      list.appendChild(this.createMessageElement({ from: 'agent', text: this.getGreeting() }));
+      this.state.messages.forEach(message => list.appendChild(this.createMessageElement(message)));
+      this.scrollToLatest();
+    }
+
+    createMessageElement(message) {
+      const element = document.createElement('div');
+      element.className = `message ${message.from === 'visitor' ? 'user-message' : 'agent-message'}`;
+      element.classList.toggle('is-pending', Boolean(message.pending));
+      element.classList.toggle('is-failed', Boolean(message.failed));
+
+      const bubble = document.createElement('div');
+      bubble.className = 'message-bubble';
+      bubble.textContent = message.text;
+
+      const meta = document.createElement('div');
+      meta.className = 'message-time';
+
+      if (message.failed) {
+        meta.textContent = `${i18n.t('chat.notDelivered', 'Not delivered.')} `;
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'chat-retry';
+        retry.dataset.messageId = message.id;
+        retry.textContent = i18n.t('chat.retry', 'Retry');
+        meta.appendChild(retry);
+      } else if (message.pending) {
+        meta.textContent = i18n.t('chat.sending', 'Sending…');
+      } else {
+        meta.textContent = this.formatTime(message.sentAt);
+      }
+
+      element.append(bubble, meta);
+      return element;
+    }
+
+    formatTime(sentAt) {
+      const date = new Date(sentAt);
+      if (!sentAt || Number.isNaN(date.getTime()) || Date.now() - date.getTime() < 60000) {
+        return i18n.t('chat.justNow', 'Just now');
+      }
+      return date.toLocaleTimeString(localeFormatter.getLocale(), { hour: 'numeric', minute: '2-digit' });
+    }
+
+    scrollToLatest() {
+      if (this.view) {
+        this.view.messages.scrollTop = this.view.messages.scrollHeight;
+      }
+    }
+
+    async confirmEnd(modal) {
+      const confirmed = await this.modalManager.confirm({
+        title: i18n.t('chat.endTitle', 'End chat?'),
+        message: i18n.t('chat.endMessage', 'This clears the conversation from this browser.'),
+        confirmLabel: i18n.t('chat.end', 'End chat'),
+        cancelLabel: i18n.t('chat.keepChatting', 'Keep chatting')
+      });
+      if (!confirmed) return;
+
+      const { sessionId } = this.state;
+      if (sessionId) {
+        fetch(`${this.endpoint}/session?session=${encodeURIComponent(sessionId)}`, { method: 'DELETE' }).catch(() => {});
+      }
+
+      this.state = this.getEmptyState();
+      this.saveState();
+      this.reset();
+      modal.close(null);
+    }
+
+    reset() {
+      this.disconnect();
+      this.agentTyping = false;
+      if (this.launcher) {
+        this.launcher.remove();
+        this.launcher = null;
+      }
+      this.updateBadges();
+    }
+
+    // ----- Launcher and badges -----
+
+    createBadge() {
+      const badge = document.createElement('span');
+      badge.className = 'chat-badge';
+      badge.hidden = true;
+      return badge;
+    }
+
+    renderLauncher() {
+      if (this.launcher) return;
+
+      const launcher = document.createElement('button');
+      launcher.type = 'button';
+      launcher.className = 'chat-launcher';
+
+      const icon = document.createElement('i');
+      icon.className = 'bi bi-chat-dots-fill';
+      icon.setAttribute('aria-hidden', 'true');
+
+      launcher.append(icon, this.createBadge());
+      launcher.addEventListener('click', () => this.open());
+      document.body.appendChild(launcher);
+      this.launcher = launcher;
+      this.updateBadges();
+    }
+
+    updateBadges() {
+      const count = this.state.unread;
+      const label = count === 1
+        ? i18n.t('chat.unreadOne', '{count} unread message', { count })
+        : i18n.t('chat.unread', '{count} unread messages', { count });
+
+      document.querySelectorAll('.chat-badge').forEach(badge => {
+        badge.hidden = count === 0;
+        badge.textContent = count > 9 ? '9+' : String(count);
+        badge.setAttribute('title', label);
+
+        let srText = badge.nextElementSibling;
+        if (!srText || !srText.classList.contains('chat-badge-label')) {
+          srText = document.createElement('span');
+          srText.className = 'sr-only chat-badge-label';
+          badge.after(srText);
+        }
+        srText.textContent = count > 0 ? `, ${label}` : '';
+      });
+
+      if (this.launcher) {
+        const openLabel = i18n.t('chat.open', 'Open live chat');
+        this.launcher.setAttribute('aria-label', count > 0 ? `${openLabel}, ${label}` : openLabel);
+      }
+    }
+
+    getUnreadCount() {
+      return this.state.unread;
+    }
+  }
+
+  // ===== Schedule Manager =====
+  /**
+   * "Schedule a Call" booking flow for [data-schedule-open] triggers (the
+   * value, if any, preselects an office). Slots come from each office's
+   * business hours in assets/data/schedule.json and are shown in the
+   * visitor's time zone; bookings go through FormSubmitter to the configured
+   * endpoint and end with a downloadable .ics invite.
+   */
+  class ScheduleManager {
+    constructor(modalManager, formValidator) {
+      this.modalManager = modalManager;
+      this.formValidator = formValidator;
+      this.triggers = document.querySelectorAll('[data-schedule-open]');
+      this.configUrl = '/assets/data/schedule.json';
+      this.config = null;
+      this.configRequest = null;
+      this.bookedSlots = new Set();
+      this.formatters = new Map();
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (this.triggers.length === 0 || !this.modalManager || !this.formValidator) return;
+
+        this.triggers.forEach(trigger => {
+          trigger.hidden = false;
+          trigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.open(trigger.dataset.scheduleOpen || null);
+          });
+        });
+      } catch (error) {
+        console.error('Failed to initialize ScheduleManager:', error);
+      }
+    }
+
+    loadConfig() {
+      if (!this.configRequest) {
+        this.configRequest = fetch(this.configUrl)
+          .then(response => {
+            if (!response.ok) {
+              throw new Error(`Schedule config request failed with ${response.status}`);
+            }
+            return response.json();
+          })
+          .then(config => {
+            this.config = config;
+            return config;
+          })
+          .catch(error => {
+            this.configRequest = null;
+            throw error;
+          });
+      }
+      return this.configRequest;
+    }
+
+    // Best effort: without it a taken slot is reported when booking instead
+    async loadBookedSlots() {
+      try {
+        const response = await fetch(this.config.endpoint, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) return;
+
+        const { bookings = [] } = await response.json();
+        this.bookedSlots = new Set(bookings.map(booking => this.getSlotKey(booking.office, booking.start)));
+      } catch (error) {
+        console.warn('Failed to load booked slots:', error);
+      }
+    }
+
+    async open(officeId = null) {
+      try {
+        await this.loadConfig();
+        await this.loadBookedSlots();
+
+        return this.modalManager.open({
+          id: 'scheduleCall',
+          title: i18n.t('schedule.title', 'Schedule a Call'),
+          className: 'schedule-modal',
+          content: (modal) => this.createView(modal, officeId)
+        });
+      } catch (error) {
+        console.error('Failed to open scheduling:', error);
+        showNotification(i18n.t('notifications.scheduleUnavailable', 'Scheduling is unavailable right now. Please call or email us instead.'), 'error');
+        return null;
+      }
+    }
+
+    getOffices() {
+      return this.config ? this.config.offices : [];
+    }
+
+    getOffice(officeId) {
+      return this.getOffices().find(office => office.id === officeId) || null;
+    }
+
+    getSlotKey(officeId, start) {
+      return `${officeId}|${new Date(start).toISOString()}`;
+    }
+
+    // ----- Time zones -----
+
+    getFormatter(options) {
+      const locale = localeFormatter.getLocale();
+      const key = `${locale}|${JSON.stringify(options)}`;
+      if (!this.formatters.has(key)) {
+        this.formatters.set(key, new Intl.DateTimeFormat(locale, options));
+      }
+      return this.formatters.get(key);
+    }
+
+    getVisitorTimeZone() {
+      return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Wall-clock parts of an instant in a time zone.
+     */
+    getZonedParts(date, timeZone) {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        weekday: 'short'
+      }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = type === 'weekday' ? value : parseInt(value, 10);
+      });
+      return parts;
+    }
+
+    getTimeZoneOffset(date, timeZone) {
+      const parts = this.getZonedParts(date, timeZone);
+      const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute);
+      return asUtc - Math.floor(date.getTime() / 60000) * 60000;
+    }
+
+    /**
+     * The instant at which it is the given wall-clock time in timeZone. The
+     * second pass corrects the offset on days when DST starts or ends.
+     */
+    zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+      const guess = Date.UTC(year, month - 1, day, hour, minute);
+      const firstOffset = this.getTimeZoneOffset(new Date(guess), timeZone);
+      const secondOffset = this.getTimeZoneOffset(new Date(guess - firstOffset), timeZone);
+      return new Date(guess - secondOffset);
+    }
+
+    // ----- Slots -----
+
+    parseTime(value) {
+      const [hour, minute] = value.split(':').map(Number);
+      return hour * 60 + minute;
+    }
+
+    /**
+     * Open slots for an office from now on, earliest first. Days are walked in
+     * the office's own calendar so business hours apply in its time zone.
+     */
+    getSlots(officeId, now = new Date()) {
+      const office = this.getOffice(officeId);
+      if (!office) return [];
+
+      const { meetingLength, slotInterval, minimumNotice, searchDays } = this.config;
+      const earliest = now.getTime() + minimumNotice * 60000;
+      const today = this.getZonedParts(now, office.timeZone);
+      const slots = [];
+
+      for (let offset = 0; offset < searchDays; offset++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+        const weekday = day.getUTCDay();
+
+        office.hours
+          .filter(range => range.days.includes(weekday))
+          .forEach(range => {
+            const close = this.parseTime(range.end);
+            for (let minutes = this.parseTime(range.start); minutes + meetingLength <= close; minutes += slotInterval) {
+              const start = this.zonedTimeToDate(
+                day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(),
+                Math.floor(minutes / 60), minutes % 60, office.timeZone
+              );
+
+              if (start.getTime() >= earliest && !this.bookedSlots.has(this.getSlotKey(office.id, start))) {
+                slots.push({ office, start, end: new Date(start.getTime() + meetingLength * 60000) });
+              }
+            }
+          });
+      }
+
+      return slots.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Slots grouped by the visitor's calendar day, limited to daysToShow days.
+     */
+    getSlotDays(officeId, now = new Date()) {
+      const dayFormatter = this.getFormatter({ weekday: 'long', month: 'short', day: 'numeric' });
+      const days = [];
+
+      this.getSlots(officeId, now).forEach(slot => {
+        const label = dayFormatter.format(slot.start);
+        let day = days[days.length - 1];
+
+        if (!day || day.label !== label) {
+          if (days.length === this.config.daysToShow) return;
+          day = { label, slots: [] };
+          days.push(day);
+        }
+        day.slots.push(slot);
+      });
+
+      return days;
+    }
+
+    formatTime(date, timeZone) {
+      return this.getFormatter({ hour: 'numeric', minute: '2-digit', timeZone }).format(date);
+    }
+
+    formatSlot(slot) {
+      const date = this.getFormatter({ weekday: 'long', month: 'long', day: 'numeric' }).format(slot.start);
+      return i18n.t('schedule.slot', '{date} at {time}', { date, time: this.formatTime(slot.start) });
+    }
+
+    getTimeZoneLabel() {
+      const timeZone = this.getVisitorTimeZone();
+      const namePart = this.getFormatter({ timeZoneName: 'short' })
+        .formatToParts(new Date())
+        .find(part => part.type === 'timeZoneName');
+      return namePart ? `${timeZone.replace(/_/g, ' ')} (${namePart.value})` : timeZone.replace(/_/g, ' ');
+    }
+
+    // ----- Dialog -----
+
+    createView(modal, officeId) {
+      const offices = this.getOffices();
+      const view = {
+        modal,
+        office: this.getOffice(officeId) || offices[0],
+        slot: null,
+        root: document.createElement('div')
+      };
+      view.root.className = 'schedule-form';
+
+      this.renderSlotStep(view);
+      return view.root;
+    }
+
+    renderSlotStep(view) {
+      const { root } = view;
+      root.textContent = '';
+
+      const intro = document.createElement('p');
+      intro.textContent = i18n.t('schedule.intro', 'Book a {minutes}-minute consultation with one of our offices.', {
+        minutes: this.config.meetingLength
+      });
+
+      const officeGroup = document.createElement('div');
+      officeGroup.className = 'schedule-offices';
+      officeGroup.setAttribute('role', 'group');
+      officeGroup.setAttribute('aria-label', i18n.t('schedule.office', 'Office'));
+
+      this.getOffices().forEach(office => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'schedule-office';
+        button.textContent = office.name;
+        button.setAttribute('aria-pressed', String(office === view.office));
+        button.addEventListener('click', () => {
+          view.office = office;
+          view.slot = null;
+          this.renderSlotStep(view);
+          root.querySelector('.schedule-office[aria-pressed="true"]').focus();
+        });
+        officeGroup.appendChild(button);
+      });
+
+      const timeZoneNote = document.createElement('p');
+      timeZoneNote.className = 'schedule-timezone';
+      timeZoneNote.textContent = i18n.t('schedule.timeZone', 'Times are shown in your time zone: {timeZone}.', {
+        timeZone: this.getTimeZoneLabel()
+      });
+
+      const slotsContainer = document.createElement('div');
+      slotsContainer.className = 'time-slots';
+
+      const continueButton = document.createElement('button');
+      continueButton.type = 'button';
+      continueButton.className = 'btn btn-primary';
+      continueButton.textContent = i18n.t('schedule.continue', 'Continue');
+      continueButton.disabled = !view.slot;
+      continueButton.addEventListener('click', () => this.renderDetailsStep(view));
+
+      const days = this.getSlotDays(view.office.id);
+      if (days.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'schedule-empty';
+        empty.textContent = i18n.t('schedule.noSlots', 'No times are available with {office} right now. Try another office.', {
+          office: view.office.name
+        });
+        slotsContainer.appendChild(empty);
+      }
+
+      days.forEach(day => {
+        const heading = document.createElement('h4');
+        heading.textContent = day.label;
+
+        const grid = document.createElement('div');
+        grid.className = 'slots-grid';
+
+        day.slots.forEach(slot => {
+          const button = document.createElement('button');
+          button.type = 'button';
+          button.className = 'time-slot';
+          button.textContent = this.formatTime(slot.start);
+          button.title = i18n.t('schedule.officeTime', '{time} in {office}', {
+            time: this.formatTime(slot.start, slot.office.timeZone),
+            office: slot.office.name
+          });
+          button.setAttribute('aria-label', `${this.formatSlot(slot)}, ${button.title}`);
+
+          const isSelected = Boolean(view.slot) && view.slot.start.getTime() === slot.start.getTime();
+          button.classList.toggle('selected', isSelected);
+          button.setAttribute('aria-pressed', String(isSelected));
+
+          button.addEventListener('click', () => {
+            view.slot = slot;
+            slotsContainer.querySelectorAll('.time-slot').forEach(other => {
+              other.classList.toggle('selected', other === button);
+              other.setAttribute('aria-pressed', String(other === button));
+            });
+            continueButton.disabled = false;
+          });
+          grid.appendChild(button);
+        });
+
+        slotsContainer.append(heading, grid);
+      });
+
+      const cancelButton = document.createElement('button');
+      cancelButton.type = 'button';
+      cancelButton.className = 'btn btn-secondary';
+      cancelButton.textContent = i18n.t('modal.cancel', 'Cancel');
+      cancelButton.addEventListener('click', () => view.modal.close(null));
+
+      const actions = document.createElement('div');
+      actions.className = 'schedule-actions';
+      actions.append(continueButton, cancelButton);
+
+      root.append(intro, officeGroup, timeZoneNote, slotsContainer, actions);
+    }
+
+    renderDetailsStep(view) {
+      const { root, slot } = view;
+      root.textContent = '';
+
+      const summary = document.createElement('p');
+      summary.className = 'schedule-summary';
+      summary.textContent = i18n.t('schedule.summary', '{slot} with {office} ({time} their time).', {
+        slot: this.formatSlot(slot),
+        office: slot.office.name,
+        time: this.formatTime(slot.start, slot.office.timeZone)
+      });
+
+      const form = document.createElement('form');
+      form.className = 'schedule-booking';
+      form.noValidate = true;
+      form.dataset.endpoint = this.config.endpoint;
+      form.dataset.transport = 'json';
+      form.dataset.retries = '1';
+
+      const createField = (name, label, type, autocomplete) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+
+        const input = document.createElement('input');
+        input.id = `schedule-${name}`;
+        input.name = name;
+        input.type = type;
+        input.required = true;
+        input.autocomplete = autocomplete;
+
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = input.id;
+        labelElement.textContent = label;
+
+        input.setAttribute('aria-describedby', `${input.id}-error`);
+        input.addEventListener('blur', () => this.formValidator.validateField(input));
+        input.addEventListener('input', () => this.formValidator.clearFieldError(input));
+
+        group.append(labelElement, input);
+        return group;
+      };
+
+      const hidden = {
+        office: slot.office.id,
+        start: slot.start.toISOString(),
+        end: slot.end.toISOString(),
+        timeZone: this.getVisitorTimeZone()
+      };
+      Object.entries(hidden).forEach(([name, value]) => {
+        const input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+      });
+
+      const status = document.createElement('p');
+      status.className = 'schedule-error';
+      status.setAttribute('role', 'alert');
+      status.hidden = true;
+
+      const submitButton = document.createElement('button');
+      submitButton.type = 'submit';
+      submitButton.className = 'btn btn-primary';
+      submitButton.textContent = i18n.t('schedule.book', 'Book call');
+
+      const backButton = document.createElement('button');
+      backButton.type = 'button';
+      backButton.className = 'btn btn-secondary';
+      backButton.textContent = i18n.t('schedule.changeTime', 'Change time');
+      backButton.addEventListener('click', () => this.renderSlotStep(view));
+
+      const actions = document.createElement('div');
+      actions.className = 'schedule-actions';
+      actions.append(submitButton, backButton);
+
+      const nameField = createField('name', i18n.t('schedule.name', 'Your name'), 'text', 'name');
+      nameField.querySelector('input').dataset.rules = 'name';
+
+      form.append(
+        nameField,
+        createField('email', i18n.t('schedule.email', 'Email address'), 'email', 'email'),
+        status,
+        actions
+      );
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitBooking(view, form, status, submitButton);
+      });
+
+      root.append(summary, form);
+      form.querySelector('input:not([type="hidden"])').focus();
+    }
+
+    async submitBooking(view, form, status, submitButton) {
+      try {
+        status.hidden = true;
+        const validation = await this.formValidator.validateForm(form);
+        if (!validation.valid) {
+          validation.errors[0].field.focus();
+          return;
+        }
+
+        submitButton.disabled = true;
+        submitButton.textContent = i18n.t('schedule.booking', 'Booking...');
+
+        const result = await this.formValidator.submitter.submit(form);
+        const fields = this.formValidator.submitter.serialize(form);
+        const booking = {
+          id: result.data && result.data.id,
+          office: view.slot.office,
+          start: view.slot.start,
+          end: view.slot.end,
+          name: fields.name.trim(),
+          email: fields.email.trim(),
+          queued: Boolean(result.queued)
+        };
+
+        this.bookedSlots.add(this.getSlotKey(booking.office.id, booking.start));
+        this.renderConfirmation(view, booking);
+      } catch (error) {
+        console.error('Failed to book call:', error);
+
+        if (error.fieldErrors) {
+          this.formValidator.applyServerErrors(form, error.fieldErrors);
+        }
+
+        // Someone else took the slot: refresh availability and go back
+        if (error.status === 409) {
+          await this.loadBookedSlots();
+          view.slot = null;
+          this.renderSlotStep(view);
+          showNotification(error.message, 'error');
+          return;
+        }
+
+        status.textContent = error.message || i18n.t('schedule.failed', 'We couldn\'t book that time. Please try again.');
+        status.hidden = false;
+        submitButton.disabled = false;
+        submitButton.textContent = i18n.t('schedule.book', 'Book call');
+      }
+    }
+
+    renderConfirmation(view, booking) {
+      const { root, modal } = view;
+      root.textContent = '';
+
+      const icon = document.createElement('i');
+      icon.className = 'bi bi-check-circle-fill schedule-confirmed-icon';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const heading = document.createElement('h4');
+      heading.className = 'schedule-confirmed-title';
+      heading.tabIndex = -1;
+      heading.textContent = booking.queued
+        ? i18n.t('schedule.savedTitle', 'Booking saved')
+        : i18n.t('schedule.bookedTitle', 'Call scheduled!');
+
+      const message = document.createElement('p');
+      message.textContent = booking.queued
+        ? i18n.t('schedule.saved', 'You\'re offline, so we\'ll send your request for {slot} as soon as you\'re back online.', {
+          slot: this.formatSlot(booking)
+        })
+        : i18n.t('schedule.booked', 'Your consultation with {office} is booked for {slot}. We\'ll email the meeting link to {email}.', {
+          office: booking.office.name,
+          slot: this.formatSlot(booking),
+          email: booking.email
+        });
+
+      const downloadButton = document.createElement('button');
+      downloadButton.type = 'button';
+      downloadButton.className = 'btn btn-primary';
+      downloadButton.textContent = i18n.t('schedule.addToCalendar', 'Add to calendar (.ics)');
+      downloadButton.addEventListener('click', () => this.downloadInvite(booking));
+
+      const doneButton = document.createElement('button');
+      doneButton.type = 'button';
+      doneButton.className = 'btn btn-secondary';
+      doneButton.textContent = i18n.t('schedule.done', 'Done');
+      doneButton.addEventListener('click', () => modal.close(booking));
+
+      const actions = document.createElement('div');
+      actions.className = 'schedule-actions';
+      actions.append(downloadButton, doneButton);
+
+      root.append(icon, heading, message, actions);
+      heading.focus();
+    }
+
+    // ----- Calendar export -----
+
+    formatIcsDate(date) {
+      return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeIcsText(value) {
+      return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+    }
+
+    // Parameter values such as CN can't be escaped, only quoted
+    quoteIcsParam(value) {
+      return `"${String(value).replace(/["\r\n]/g, '')}"`;
+    }
+
+    // RFC 5545 lines are at most 75 octets; longer ones continue after CRLF + space
+    foldIcsLine(line) {
+      const encoder = new TextEncoder();
+      const chunks = [];
+      let current = '';
+
+      Array.from(line).forEach(character => {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (encoder.encode(current + character).length > limit) {
+          chunks.push(current);
+          current = '';
+        }
+        current += character;
+      });
+      chunks.push(current);
+
+      return chunks.join('\r\n ');
+    }
+
+    createInvite(booking) {
+      const { organizer, meetingLength } = this.config;
+      const uid = `${booking.id || this.formatIcsDate(booking.start)}-${booking.office.id}@novawave.com`;
+      const description = i18n.t(
+        'schedule.invite.description',
+        '{minutes}-minute consultation with the NovaWave {office} team. We\'ll email the meeting link to {email}. Questions? Call {phone}.',
+        { minutes: meetingLength, office: booking.office.name, email: booking.email, phone: booking.office.phone }
+      );
+      const summary = i18n.t('schedule.invite.summary', 'NovaWave consultation');
+
+      const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//NovaWave//Schedule a Call//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${this.formatIcsDate(new Date())}`,
+        `DTSTART:${this.formatIcsDate(booking.start)}`,
+        `DTEND:${this.formatIcsDate(booking.end)}`,
+        `SUMMARY:${this.escapeIcsText(`${summary} (${booking.office.name})`)}`,
+        `DESCRIPTION:${this.escapeIcsText(description)}`,
+        `ORGANIZER;CN=${this.quoteIcsParam(organizer.name)}:mailto:${organizer.email}`,
+        `ATTENDEE;CN=${this.quoteIcsParam(booking.name)};RSVP=FALSE:mailto:${booking.email}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${this.escapeIcsText(summary)}`,
+        'TRIGGER:-PT10M',
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ];
+
+      return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    downloadInvite(booking) {
+      try {
+        const blob = new Blob([this.createInvite(booking)], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'novawave-consultation.ics';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      } catch (error) {
+        console.error('Failed to download invite:', error);
+      }
+    }
+  }
+
+  // ===== AI Suggestion Demo =====
+  /**
+   * Scripted demo of the AI assistant in features.html#ai-section. The
+   * suggestions in assets/data/ai-scenario.json form a rotating queue:
+   * Accept applies a suggestion's action to the mock calendar and task
+   * list, Dismiss sends it to the back of the queue. Every step can be
+   * undone.
+   */
+  class AISuggestionDemo {
+    constructor() {
+      this.root = document.querySelector('#ai-section .ai-playground');
+      this.scenarioUrl = '/assets/data/ai-scenario.json';
+      this.scenario = null;
+      this.state = null;
+      this.history = [];
+      this.maxHistory = 20;
+      this.visibleHistory = 5;
+      this.transitionDuration = 300;
+      this.busy = false;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.root) return;
+
+        this.elements = {
+          card: this.root.querySelector('.ai-suggestion'),
+          icon: this.root.querySelector('.suggestion-icon i'),
+          text: this.root.querySelector('.suggestion-text'),
+          accept: this.root.querySelector('.suggestion-btn.accept'),
+          dismiss: this.root.querySelector('.suggestion-btn.decline'),
+          restart: this.root.querySelector('.ai-restart'),
+          workspace: this.root.querySelector('.ai-workspace'),
+          days: this.root.querySelector('.ai-calendar-days'),
+          tasks: this.root.querySelector('.ai-task-list'),
+          historyPanel: this.root.querySelector('.ai-history-panel'),
+          undo: this.root.querySelector('.ai-undo'),
+          history: this.root.querySelector('.ai-history'),
+          announcer: this.root.querySelector('.ai-announcer'),
+          automated: this.root.querySelector('.ai-automated-count')
+        };
+        if (!this.elements.card || !this.elements.accept || !this.elements.dismiss) return;
+
+        this.loadScenario().then(() => {
+          this.reset();
+          this.bindEvents();
+          if (this.elements.workspace) this.elements.workspace.hidden = false;
+          if (this.elements.historyPanel) this.elements.historyPanel.hidden = false;
+        }).catch(error => {
+          // The static suggestion stays as it is
+          console.error('Failed to load AI demo scenario:', error);
+        });
+      } catch (error) {
+        console.error('Failed to initialize AISuggestionDemo:', error);
+      }
+    }
+
+    async loadScenario() {
+      const response = await fetch(this.scenarioUrl);
+      if (!response.ok) {
+        throw new Error(`AI scenario request failed with status ${response.status}`);
+      }
+
+      this.scenario = await response.json();
+      this.suggestions = new Map(this.scenario.suggestions.map(suggestion => [suggestion.id, suggestion]));
+    }
+
+    bindEvents() {
+      const { accept, dismiss, restart, undo } = this.elements;
+
+      accept.addEventListener('click', () => this.accept());
+      dismiss.addEventListener('click', () => this.dismiss());
+      if (restart) restart.addEventListener('click', () => this.restart());
+      if (undo) undo.addEventListener('click', () => this.undo());
+
+      document.addEventListener('localechange', () => this.render());
+    }
+
+    // ----- State -----
+
+    clone(value) {
+      return JSON.parse(JSON.stringify(value));
+    }
+
+    reset() {
+      const { events = [], tasks = [], suggestions = [], automatedToday = 0 } = this.scenario;
+
+      this.state = {
+        events: this.clone(events),
+        tasks: this.clone(tasks),
+        queue: suggestions.map(suggestion => suggestion.id),
+        automated: automatedToday
+      };
+      this.history = [];
+      this.render();
+    }
+
+    /**
+     * Whether an action still has something to act on: an earlier accept
+     * may have removed the event or finished the task it targets.
+     */
+    isApplicable(action) {
+      const event = this.state.events.find(entry => entry.id === action.eventId);
+      const task = this.state.tasks.find(entry => entry.id === action.taskId);
+
+      switch (action.type) {
+        case 'addEvent':
+          return !this.state.events.some(entry => entry.id === action.event.id);
+        case 'addTask':
+          return !this.state.tasks.some(entry => entry.id === action.task.id);
+        case 'moveEvent':
+        case 'removeEvent':
+          return Boolean(event);
+        case 'updateTask':
+        case 'completeTask':
+          return Boolean(task) && !task.done;
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Applies an action to the state and returns the key of the calendar
+     * event or task it changed (so it can be highlighted), or null.
+     */
+    apply(action) {
+      const { events, tasks } = this.state;
+
+      switch (action.type) {
+        case 'addEvent':
+          events.push(this.clone(action.event));
+          return `event:${action.event.id}`;
+        case 'moveEvent': {
+          const event = events.find(entry => entry.id === action.eventId);
+          Object.assign(event, { day: action.day, start: action.start, end: action.end });
+          return `event:${event.id}`;
+        }
+        case 'removeEvent':
+          this.state.events = events.filter(entry => entry.id !== action.eventId);
+          return null;
+        case 'addTask':
+          tasks.push(this.clone(action.task));
+          return `task:${action.task.id}`;
+        case 'updateTask': {
+          const task = tasks.find(entry => entry.id === action.taskId);
+          Object.assign(task, action.changes);
+          return `task:${task.id}`;
+        }
+        case 'completeTask': {
+          const task = tasks.find(entry => entry.id === action.taskId);
+          task.done = true;
+          return `task:${task.id}`;
+        }
+        default:
+          throw new Error(`Unknown AI demo action "${action.type}"`);
+      }
+    }
+
+    // The first queued suggestion that can still be applied
+    getCurrent() {
+      while (this.state.queue.length > 0) {
+        const suggestion = this.suggestions.get(this.state.queue[0]);
+        if (suggestion && this.isApplicable(suggestion.action)) return suggestion;
+        this.state.queue.shift();
+      }
+      return null;
+    }
+
+    record(type, suggestion) {
+      this.history.push({ type, suggestion, snapshot: this.clone(this.state) });
+      if (this.history.length > this.maxHistory) this.history.shift();
+    }
+
+    // ----- Actions -----
+
+    async accept() {
+      const suggestion = this.getCurrent();
+      if (!suggestion || this.busy) return;
+
+      try {
+        this.record('accepted', suggestion);
+        const changed = this.apply(suggestion.action);
+        this.state.queue.shift();
+        this.state.automated += 1;
+
+        await this.advance('is-accepted', changed);
+        this.announce(this.getSummary(suggestion));
+      } catch (error) {
+        console.error('Failed to accept AI suggestion:', error);
+        this.undo();
+      }
+    }
+
+    async dismiss() {
+      const suggestion = this.getCurrent();
+      if (!suggestion || this.busy) return;
+
+      try {
+        this.record('dismissed', suggestion);
+        // Dismissed suggestions come round again after the others
+        this.state.queue.push(this.state.queue.shift());
+
+        await this.advance('is-dismissed');
+        this.announce(i18n.t('aiDemo.dismissed', 'Dismissed. Next suggestion: {text}', {
+          text: this.getCurrent() ? this.getText(this.getCurrent()) : ''
+        }));
+      } catch (error) {
+        console.error('Failed to dismiss AI suggestion:', error);
+      }
+    }
+
+    undo() {
+      // Popping mid-transition would drop the entry without restoring it
+      if (this.busy || this.history.length === 0) return;
+
+      const entry = this.history.pop();
+
+      this.state = entry.snapshot;
+      this.render();
+      this.announce(i18n.t('aiDemo.undone', 'Undid: {action}', { action: this.getHistoryLabel(entry) }));
+    }
+
+    restart() {
+      this.reset();
+      this.announce(i18n.t('aiDemo.restarted', 'Demo restarted'));
+      this.elements.accept.focus();
+    }
+
+    /**
+     * Animates the current card out with exitClass, renders the next
+     * suggestion and animates it in.
+     */
+    async advance(exitClass, changed = null) {
+      const { card } = this.elements;
+      const duration = this.isReducedMotion() ? 0 : this.transitionDuration;
+      this.busy = true;
+
+      try {
+        if (duration) {
+          card.classList.add(exitClass);
+          await this.wait(duration);
+          card.classList.remove(exitClass);
+          card.classList.add('is-entering');
+        }
+
+        this.render(changed);
+
+        if (duration) {
+          // Let the entering state paint before transitioning out of it
+          await this.wait(20);
+          card.classList.remove('is-entering');
+        }
+      } finally {
+        this.busy = false;
+      }
+    }
+
+    wait(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    isReducedMotion() {
+      return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    announce(message) {
+      if (this.elements.announcer) this.elements.announcer.textContent = message;
+    }
+
+    // ----- Rendering -----
+
+    formatDay(day) {
+      // 7 January 2024 was a Sunday, so day 0 is Sunday as in Date.getDay()
+      const date = new Date(2024, 0, 7 + day);
+      return new Intl.DateTimeFormat(i18n.getLanguage(), { weekday: 'short' }).format(date);
+    }
+
+    formatTime(time) {
+      const [hours, minutes] = time.split(':').map(Number);
+      const date = new Date(2024, 0, 1, hours, minutes);
+      return new Intl.DateTimeFormat(i18n.getLanguage(), { hour: 'numeric', minute: '2-digit' }).format(date);
+    }
+
+    // Scenario copy is English in ai-scenario.json; the catalogs key it by id
+    // under aiDemo.scenario
+    getText(suggestion) {
+      return i18n.t(`aiDemo.scenario.suggestions.${suggestion.id}.text`, suggestion.text);
+    }
+
+    getSummary(suggestion) {
+      return i18n.t(`aiDemo.scenario.suggestions.${suggestion.id}.summary`, suggestion.summary);
+    }
+
+    getTitle(kind, item) {
+      return i18n.t(`aiDemo.scenario.${kind}.${item.id}`, item.title);
+    }
+
+    getHistoryLabel(entry) {
+      return entry.type === 'accepted'
+        ? this.getSummary(entry.suggestion)
+        : i18n.t('aiDemo.dismissedItem', 'Dismissed: {text}', { text: this.getText(entry.suggestion) });
+    }
+
+    render(changed = null) {
+      this.renderSuggestion();
+      this.renderCalendar(changed);
+      this.renderTasks(changed);
+      this.renderHistory();
+
+      if (this.elements.automated) {
+        this.elements.automated.textContent = localeFormatter.formatNumber(this.state.automated);
+      }
+    }
+
+    renderSuggestion() {
+      const { icon, text, accept, dismiss, restart } = this.elements;
+      const suggestion = this.getCurrent();
+      const hadFocus = [accept, dismiss].includes(document.activeElement);
+
+      if (icon) icon.className = `bi bi-${suggestion ? suggestion.icon || 'lightbulb' : 'check2-circle'}`;
+      text.textContent = suggestion
+        ? this.getText(suggestion)
+        : i18n.t('aiDemo.empty', "You're all caught up. NovaWave AI will suggest more as your week fills up.");
+
+      accept.hidden = !suggestion;
+      dismiss.hidden = !suggestion;
+      if (restart) {
+        restart.hidden = Boolean(suggestion);
+        // Don't strand keyboard focus on a button that just disappeared
+        if (!suggestion && hadFocus) restart.focus();
+      }
+    }
+
+    renderCalendar(changed) {
+      const { days } = this.elements;
+      if (!days) return;
+
+      days.textContent = '';
+      (this.scenario.days || []).forEach(day => {
+        const item = document.createElement('li');
+        item.className = 'ai-day';
+
+        const name = document.createElement('span');
+        name.className = 'ai-day-name';
+        name.textContent = this.formatDay(day);
+
+        const list = document.createElement('ul');
+        list.className = 'ai-events';
+
+        this.state.events
+          .filter(event => event.day === day)
+          .sort((a, b) => a.start.localeCompare(b.start))
+          .forEach(event => {
+            const entry = document.createElement('li');
+            entry.className = 'ai-event';
+            entry.classList.toggle('is-changed', changed === `event:${event.id}`);
+
+            const time = document.createElement('time');
+            time.className = 'ai-event-time';
+            time.textContent = this.formatTime(event.start);
+
+            entry.append(time, ` ${this.getTitle('events', event)}`);
+            list.appendChild(entry);
+          });
+
+        item.append(name, list);
+        days.appendChild(item);
+      });
+    }
+
+    renderTasks(changed) {
+      const { tasks } = this.elements;
+      if (!tasks) return;
+
+      tasks.textContent = '';
+      this.state.tasks.forEach(task => {
+        const item = document.createElement('li');
+        item.className = 'ai-task';
+        item.classList.toggle('is-done', task.done);
+        item.classList.toggle('is-changed', changed === `task:${task.id}`);
+
+        const icon = document.createElement('i');
+        icon.className = `bi bi-${task.done ? 'check-circle-fill' : 'circle'}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const title = document.createElement('span');
+        title.className = 'ai-task-title';
+        title.textContent = this.getTitle('tasks', task);
+
+        const meta = document.createElement('span');
+        meta.className = 'ai-task-meta';
+        meta.textContent = task.done
+          ? i18n.t('aiDemo.done', 'Done')
+          : i18n.t('aiDemo.due', 'Due {day}', { day: this.formatDay(task.due) });
+
+        item.append(icon, title, meta);
+
+        if (task.priority === 'high' && !task.done) {
+          const badge = document.createElement('span');
+          badge.className = 'ai-task-priority';
+          badge.textContent = i18n.t('aiDemo.highPriority', 'High priority');
+          item.appendChild(badge);
+        }
+
+        tasks.appendChild(item);
+      });
+    }
+
+    renderHistory() {
+      const { undo, history } = this.elements;
+
+      if (undo) {
+        const last = this.history[this.history.length - 1];
+        undo.disabled = !last;
+        undo.title = last ? i18n.t('aiDemo.undoAction', 'Undo: {action}', { action: this.getHistoryLabel(last) }) : '';
+      }
+      if (!history) return;
+
+      history.textContent = '';
+      this.history.slice(-this.visibleHistory).reverse().forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `ai-history-item is-${entry.type}`;
+
+        const icon = document.createElement('i');
+        icon.className = `bi bi-${entry.type === 'accepted' ? 'check-lg' : 'x-lg'}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('span');
+        label.textContent = this.getHistoryLabel(entry);
+
+        item.append(icon, label);
+        history.appendChild(item);
+      });
+    }
+  }
+
+  // ===== Collaborative Text =====
+  /**
+   * Replicated text for the collaboration demo, as an RGA sequence CRDT.
+   * Every character has a unique id (Lamport counter @ site) and remembers
+   * the character it was typed after. Concurrent inserts after the same
+   * character are ordered by id, and deletes leave tombstones. So replicas
+   * that have seen the same operations hold the same text, whatever order
+   * the operations arrived in.
+   *
+   * Each element holds one code point, so an emoji is never split between
+   * replicas, while positions in and out are UTF-16 offsets like a
+   * textarea's value and selection. locate() is the one place that maps
+   * between the two.
+   */
+  class CollaborativeText {
+    constructor(siteId) {
+      this.siteId = siteId;
+      this.clock = 0;
+      this.elements = [];
+      this.byId = new Map();
+      // Operations whose origin hasn't arrived yet
+      this.pending = [];
+    }
+
+    static compare(a, b) {
+      if (a.counter !== b.counter) return a.counter - b.counter;
+      if (a.site === b.site) return 0;
+      return a.site < b.site ? -1 : 1;
+    }
+
+    /**
+     * Starts from text every replica seeds identically, so the ids match.
+     */
+    seed(text, site = 'seed') {
+      let after = null;
+      Array.from(text).forEach((value, index) => {
+        const counter = index + 1;
+        const id = `${counter}@${site}`;
+        this.integrate({ type: 'insert', id, counter, site, after, value });
+        after = id;
+      });
+    }
+
+    getText() {
+      return this.elements.filter(element => !element.deleted).map(element => element.value).join('');
+    }
+
+    getVisible() {
+      return this.elements.filter(element => !element.deleted);
+    }
+
+    getLength() {
+      return this.getText().length;
+    }
+
+    /**
+     * The number of visible elements before a UTF-16 offset. An offset
+     * inside a surrogate pair counts the whole character.
+     */
+    locate(visible, offset) {
+      let index = 0;
+      let units = 0;
+      while (index < visible.length && units < offset) {
+        units += visible[index].value.length;
+        index++;
+      }
+      return index;
+    }
+
+    integrate(op) {
+      if (this.byId.has(op.id)) return true;
+      if (op.after && !this.byId.has(op.after)) return false;
+
+      this.clock = Math.max(this.clock, op.counter);
+
+      let position = op.after ? this.elements.indexOf(this.byId.get(op.after)) + 1 : 0;
+      // Later concurrent inserts at the same spot go first
+      while (position < this.elements.length && CollaborativeText.compare(this.elements[position], op) > 0) {
+        position++;
+      }
+
+      const element = {
+        id: op.id,
+        counter: op.counter,
+        site: op.site,
+        after: op.after,
+        value: op.value,
+        deleted: Boolean(op.deleted)
+      };
+      this.elements.splice(position, 0, element);
+      this.byId.set(element.id, element);
+      return true;
+    }
+
+    /**
+     * Applies a remote insert or delete. Returns false if it has to wait
+     * for an operation it depends on.
+     */
+    apply(op) {
+      let applied;
+      if (op.type === 'insert') {
+        applied = this.integrate(op);
+      } else {
+        const element = this.byId.get(op.id);
+        if (element) element.deleted = true;
+        applied = Boolean(element);
+      }
+
+      if (!applied) {
+        this.pending.push(op);
+        return false;
+      }
+      this.flushPending();
+      return true;
+    }
+
+    flushPending() {
+      let progress = true;
+      while (progress && this.pending.length > 0) {
+        const waiting = this.pending;
+        this.pending = [];
+        progress = false;
+        waiting.forEach(op => {
+          if (this.apply(op)) progress = true;
+        });
+      }
+    }
+
+    /**
+     * Inserts text at an offset and returns the operations to send.
+     */
+    insert(offset, text, site = this.siteId) {
+      const visible = this.getVisible();
+      const index = this.locate(visible, offset);
+      let after = index > 0 ? visible[index - 1].id : null;
+
+      return Array.from(text).map(value => {
+        const counter = ++this.clock;
+        const op = { type: 'insert', id: `${counter}@${site}`, counter, site, after, value };
+        this.integrate(op);
+        after = op.id;
+        return op;
+      });
+    }
+
+    delete(offset, length) {
+      const visible = this.getVisible();
+      const from = this.locate(visible, offset);
+      const to = this.locate(visible, offset + length);
+
+      return visible.slice(from, to).map(element => {
+        element.deleted = true;
+        return { type: 'delete', id: element.id };
+      });
+    }
+
+    /**
+     * A caret position that survives other people's edits: the id of the
+     * character before it, or null at the start.
+     */
+    getAnchor(offset) {
+      const visible = this.getVisible();
+      const index = this.locate(visible, offset);
+      return index > 0 ? visible[index - 1].id : null;
+    }
+
+    // The offset just after an anchor, or null if it isn't known here
+    getIndex(anchor) {
+      if (!anchor) return 0;
+      const target = this.byId.get(anchor);
+      if (!target) return null;
+
+      let offset = 0;
+      for (const element of this.elements) {
+        if (!element.deleted) offset += element.value.length;
+        if (element === target) break;
+      }
+      return offset;
+    }
+
+    // The visible characters from one id to another, inclusive
+    getRange(fromId, toId) {
+      const from = this.elements.indexOf(this.byId.get(fromId));
+      const to = this.elements.indexOf(this.byId.get(toId));
+      if (from === -1 || to === -1) return [];
+      return this.elements.slice(from, to + 1).filter(element => !element.deleted);
+    }
+
+    getSnapshot() {
+      return this.elements.map(({ id, counter, site, after, value, deleted }) => ({
+        type: 'insert', id, counter, site, after, value, deleted
+      }));
+    }
+
+    /**
+     * Merges another replica's snapshot. A snapshot lists every character
+     * after its origin, so integrating in order never has to wait.
+     */
+    merge(snapshot) {
+      snapshot.forEach(op => {
+        const element = this.byId.get(op.id);
+        if (element) {
+          if (op.deleted) element.deleted = true;
+        } else {
+          this.apply(op);
+        }
+      });
+    }
+  }
+
+  // ===== Collaboration Demo =====
+  /**
+   * Live editor in features.html#collaboration-section. Every tab that has
+   * the page open joins one session over BroadcastChannel and shares edits
+   * (merged by CollaborativeText), cursors and presence. While a tab is on
+   * its own, a scripted participant from assets/data/collaboration.json
+   * types alongside the visitor.
+   */
+  class CollaborationDemo {
+    constructor() {
+      this.root = document.querySelector('#collaboration-section .collaboration-workspace');
+      this.configUrl = '/assets/data/collaboration.json';
+      this.config = null;
+      this.channel = null;
+      this.doc = null;
+      this.participant = null;
+      this.peers = new Map();
+      this.bot = null;
+      // Carries on through the script when the bot rejoins
+      this.botLineIndex = 0;
+      this.mirror = null;
+      this.composing = false;
+      this.deferred = [];
+      this.heartbeatInterval = 2000;
+      this.presenceTimeout = 6000;
+      this.typingTimeout = 2000;
+      this.heartbeatTimer = null;
+      this.maxAvatars = 4;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.root) return;
+
+        this.elements = {
+          editor: this.root.querySelector('.collab-editor'),
+          surface: this.root.querySelector('.collab-editor-surface'),
+          input: this.root.querySelector('.collab-editor-input'),
+          cursors: this.root.querySelector('.collab-cursors'),
+          status: this.root.querySelector('.collab-editor-status'),
+          users: this.root.querySelector('.workspace-users'),
+          typing: this.root.querySelector('.live-cursor'),
+          previewAvatars: document.querySelector('.collaboration-preview .user-avatars'),
+          previewCount: document.querySelector('.collaboration-preview .live-count')
+        };
+        if (!this.elements.editor || !this.elements.input || !this.elements.surface) return;
+
+        this.loadConfig()
+          .then(() => this.start())
+          .catch(error => {
+            // The static workspace preview stays as it is
+            console.error('Failed to start collaboration demo:', error);
+          });
+      } catch (error) {
+        console.error('Failed to initialize CollaborationDemo:', error);
+      }
+    }
+
+    async loadConfig() {
+      const response = await fetch(this.configUrl);
+      if (!response.ok) {
+        throw new Error(`Collaboration config request failed with status ${response.status}`);
+      }
+      this.config = await response.json();
+    }
+
+    start() {
+      const { names = [], colors = [], document: text = '', maxLength = 2000 } = this.config;
+      const siteId = Math.random().toString(36).slice(2, 10);
+      const pick = (list, fallback) => (list.length > 0 ? list[Math.floor(Math.random() * list.length)] : fallback);
+
+      this.participant = { id: siteId, name: pick(names, 'Guest'), color: pick(colors, '#007AFF') };
+      this.doc = new CollaborativeText(siteId);
+      this.doc.seed(text);
+
+      const { editor, input } = this.elements;
+      input.value = this.doc.getText();
+      input.maxLength = maxLength;
+      editor.hidden = false;
+
+      this.bindEvents();
+      this.join();
+      this.render();
+    }
+
+    bindEvents() {
+      const { input } = this.elements;
+
+      input.addEventListener('compositionstart', () => {
+        this.composing = true;
+      });
+      input.addEventListener('compositionend', () => {
+        this.composing = false;
+        this.handleLocalInput();
+
+        // Remote changes that arrived mid-composition
+        const deferred = this.deferred;
+        this.deferred = [];
+        deferred.forEach(change => this.applyRemote(change));
+        this.render();
+      });
+      input.addEventListener('input', () => {
+        if (!this.composing) this.handleLocalInput();
+      });
+
+      ['select', 'keyup', 'click', 'focus'].forEach(type => {
+        input.addEventListener(type, () => this.sendPresence());
+      });
+      input.addEventListener('blur', () => this.sendPresence());
+      input.addEventListener('scroll', () => this.renderCursors());
+      window.addEventListener('resize', () => this.renderCursors());
+
+      window.addEventListener('pagehide', () => this.disconnect());
+      // A page restored from the back/forward cache rejoins the session
+      window.addEventListener('pageshow', (event) => {
+        if (!event.persisted) return;
+        this.peers.clear();
+        this.join();
+        this.render();
+      });
+      document.addEventListener('localechange', () => this.render());
+    }
+
+    // ----- Session -----
+
+    join() {
+      this.connect();
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+
+      // Give other tabs a moment to answer before bringing in the bot
+      const { joinDelay = 1500 } = this.config.bot || {};
+      setTimeout(() => this.updateBot(), joinDelay);
+    }
+
+    connect() {
+      if (!('BroadcastChannel' in window)) return;
+
+      try {
+        this.channel = new BroadcastChannel(this.config.channel || 'novawave-collaboration');
+        this.channel.addEventListener('message', (event) => this.handleMessage(event.data));
+        this.post({ type: 'hello', participant: this.participant, cursor: this.getLocalCursor() });
+      } catch (error) {
+        console.warn('Collaboration channel unavailable:', error);
+        this.channel = null;
+      }
+    }
+
+    disconnect() {
+      clearInterval(this.heartbeatTimer);
+      this.stopBot();
+      if (this.channel) {
+        this.post({ type: 'leave' });
+        this.channel.close();
+        this.channel = null;
+      }
+    }
+
+    post(message) {
+      if (!this.channel) return;
+      try {
+        this.channel.postMessage({ ...message, from: this.participant.id });
+      } catch (error) {
+        console.warn('Failed to send collaboration message:', error);
+      }
+    }
+
+    handleMessage(message) {
+      try {
+        if (!message || !message.from || message.from === this.participant.id) return;
+        if (message.to && message.to !== this.participant.id) return;
+
+        switch (message.type) {
+          case 'hello':
+            this.updatePeer(message);
+            // Bring the newcomer up to date
+            this.post({ type: 'state', to: message.from, snapshot: this.doc.getSnapshot() });
+            this.sendPresence();
+            break;
+          case 'state':
+            this.applyRemote(() => this.doc.merge(message.snapshot));
+            break;
+          case 'presence':
+            this.updatePeer(message);
+            break;
+          case 'ops':
+            this.applyRemote(() => message.ops.forEach(op => this.doc.apply(op)));
+            this.updatePeer(message, true);
+            break;
+          case 'leave':
+            this.peers.delete(message.from);
+            break;
+          default:
+            return;
+        }
+
+        this.updateBot();
+        this.render();
+      } catch (error) {
+        console.error('Failed to handle collaboration message:', error);
+      }
+    }
+
+    updatePeer(message, edited = false) {
+      const peer = this.peers.get(message.from) || { lastEdit: 0, cursor: null };
+      if (message.participant) peer.participant = message.participant;
+      if ('cursor' in message) peer.cursor = message.cursor;
+      peer.lastSeen = Date.now();
+      if (edited) peer.lastEdit = Date.now();
+
+      if (peer.participant) this.peers.set(message.from, peer);
+    }
+
+    heartbeat() {
+      const now = Date.now();
+      this.peers.forEach((peer, id) => {
+        if (now - peer.lastSeen > this.presenceTimeout) this.peers.delete(id);
+      });
+
+      this.sendPresence();
+      this.updateBot();
+      this.render();
+    }
+
+    // ----- Editing -----
+
+    getLocalCursor() {
+      const { input } = this.elements;
+      if (document.activeElement !== input) return null;
+      return { anchor: this.doc.getAnchor(input.selectionEnd) };
+    }
+
+    sendPresence() {
+      this.post({ type: 'presence', participant: this.participant, cursor: this.getLocalCursor() });
+    }
+
+    /**
+     * Turns whatever changed in the textarea into CRDT operations: the
+     * replaced stretch between the unchanged start and end of the text.
+     */
+    handleLocalInput() {
+      const previous = this.doc.getText();
+      const next = this.elements.input.value;
+      if (previous === next) return;
+
+      let start = 0;
+      while (start < previous.length && start < next.length && previous[start] === next[start]) start++;
+
+      let end = 0;
+      while (end < previous.length - start && end < next.length - start
+        && previous[previous.length - 1 - end] === next[next.length - 1 - end]) {
+        end++;
+      }
+
+      // Keep surrogate pairs whole: emoji that share a first half (😀 and 😁)
+      // would otherwise seem to differ only in their second
+      if (start > 0 && /[\uD800-\uDBFF]/.test(previous[start - 1])) start--;
+      if (end > 0 && /[\uDC00-\uDFFF]/.test(previous[previous.length - end])) end--;
+
+      const ops = [
+        ...this.doc.delete(start, previous.length - start - end),
+        ...this.doc.insert(start, next.slice(start, next.length - end))
+      ];
+
+      this.post({ type: 'ops', ops, cursor: this.getLocalCursor() });
+      this.render();
+    }
+
+    /**
+     * Applies remote changes without moving the visitor's caret off the
+     * text it was next to.
+     */
+    applyRemote(change) {
+      // Rewriting the value mid-composition would break the IME, and the
+      // composed text is only diffed against the document once it ends
+      if (this.composing) {
+        this.deferred.push(change);
+        return;
+      }
+
+      const { input } = this.elements;
+      const focused = document.activeElement === input;
+      const anchors = focused
+        ? [this.doc.getAnchor(input.selectionStart), this.doc.getAnchor(input.selectionEnd)]
+        : null;
+
+      change();
+
+      const text = this.doc.getText();
+      if (input.value === text) return;
+
+      const scrollTop = input.scrollTop;
+      input.value = text;
+      input.scrollTop = scrollTop;
+
+      if (anchors) {
+        const [start, end] = anchors.map(anchor => this.doc.getIndex(anchor) ?? text.length);
+        input.setSelectionRange(start, end);
+      }
+    }
+
+    // ----- Bot -----
+
+    updateBot() {
+      const alone = this.peers.size === 0;
+      if (alone && !this.bot && this.config.bot) {
+        this.startBot();
+      } else if (!alone && this.bot) {
+        this.stopBot();
+      }
+    }
+
+    startBot() {
+      const { name, color } = this.config.bot;
+      this.bot = {
+        participant: { id: `${this.participant.id}-bot`, name, color, isBot: true },
+        cursor: null,
+        lastEdit: 0,
+        lines: [],
+        timer: null
+      };
+      this.scheduleBot(this.random(this.config.bot.pause));
+    }
+
+    stopBot() {
+      if (!this.bot) return;
+      clearTimeout(this.bot.timer);
+      this.bot = null;
+      this.render();
+    }
+
+    random([min, max]) {
+      return min + Math.random() * (max - min);
+    }
+
+    scheduleBot(delay, step = () => this.botTurn()) {
+      if (!this.bot) return;
+      this.bot.timer = setTimeout(() => {
+        if (!this.bot) return;
+        // Nobody is watching a hidden tab, and an IME composition must finish first
+        if (document.hidden || this.composing) {
+          this.scheduleBot(delay, step);
+          return;
+        }
+        step();
+      }, delay);
+    }
+
+    // One round: trim the oldest line once there are enough, else add one
+    botTurn() {
+      const { maxLines = 4, lines = [] } = this.config.bot;
+
+      if (this.bot.lines.length >= maxLines) {
+        this.botDeleteLine(this.bot.lines.shift());
+        return;
+      }
+      if (lines.length === 0) return;
+
+      const line = lines[this.botLineIndex % lines.length];
+      this.botLineIndex++;
+      this.botTypeLine(`\n• ${line}`);
+    }
+
+    botTypeLine(text) {
+      const characters = Array.from(text);
+      const bot = this.bot;
+      let first = null;
+
+      // Always appended at the end, after the visitor's own text
+      bot.cursor = { anchor: this.doc.getAnchor(this.doc.getLength()) };
+
+      const typeNext = () => {
+        if (this.bot !== bot) return;
+
+        const ops = this.applyBotChange(() => {
+          const offset = this.doc.getIndex(bot.cursor.anchor) ?? this.doc.getLength();
+          return this.doc.insert(offset, characters.shift(), bot.participant.id);
+        });
+        bot.cursor = { anchor: ops[ops.length - 1].id };
+        bot.lastEdit = Date.now();
+        if (!first) first = ops[0].id;
+        this.render();
+
+        if (characters.length > 0) {
+          this.scheduleBot(this.random(this.config.bot.typingDelay), typeNext);
+        } else {
+          bot.lines.push({ first, last: bot.cursor.anchor });
+          this.scheduleBot(this.random(this.config.bot.pause));
+        }
+      };
+
+      typeNext();
+    }
+
+    botDeleteLine(line) {
+      const bot = this.bot;
+
+      const deleteNext = () => {
+        if (this.bot !== bot) return;
+
+        // Backspace from the end of the line, including anything typed into it
+        const target = this.doc.getRange(line.first, line.last).pop();
+        if (!target) {
+          bot.cursor = null;
+          this.render();
+          this.scheduleBot(this.random(this.config.bot.pause));
+          return;
+        }
+
+        const length = target.value.length;
+        this.applyBotChange(() => this.doc.delete(this.doc.getIndex(target.id) - length, length));
+        bot.cursor = { anchor: target.id };
+        bot.lastEdit = Date.now();
+        this.render();
+        this.scheduleBot(this.random(this.config.bot.typingDelay) / 2, deleteNext);
+      };
+
+      deleteNext();
+    }
+
+    /**
+     * Makes the bot's change like a remote one (keeping the visitor's
+     * caret in place) and shares it with any other tab.
+     */
+    applyBotChange(change) {
+      let ops = [];
+      this.applyRemote(() => {
+        ops = change();
+      });
+      this.post({ type: 'ops', ops });
+      return ops;
+    }
+
+    // ----- Rendering -----
+
+    getParticipants() {
+      const others = Array.from(this.peers.values());
+      if (this.bot) others.push(this.bot);
+      return others;
+    }
+
+    isTyping(participant) {
+      return Date.now() - participant.lastEdit < this.typingTimeout;
+    }
+
+    render() {
+      this.renderPresence();
+      this.renderCursors();
+      this.renderStatus();
+    }
+
+    // Rendering runs on every keystroke and heartbeat; rewriting unchanged
+    // text would make screen readers announce the status again
+    setText(element, text) {
+      if (element.textContent !== text) element.textContent = text;
+    }
+
+    createAvatar(participant, className, you = false) {
+      const avatar = document.createElement('div');
+      avatar.className = className;
+      avatar.style.setProperty('--collab-color', participant.color);
+      avatar.textContent = participant.name.charAt(0).toUpperCase();
+      avatar.title = you ? i18n.t('collabDemo.you', '{name} (you)', { name: participant.name }) : participant.name;
+      return avatar;
+    }
+
+    renderPresence() {
+      const { users, previewAvatars, previewCount } = this.elements;
+      const everyone = [{ participant: this.participant, you: true }, ...this.getParticipants()];
+      const shown = everyone.slice(0, this.maxAvatars);
+      const overflow = everyone.length - shown.length;
+
+      const fill = (container, className, countClassName) => {
+        container.textContent = '';
+        shown.forEach(entry => {
+          const avatar = this.createAvatar(entry.participant, className, entry.you);
+          avatar.classList.toggle('active', entry.you || this.isTyping(entry));
+          container.appendChild(avatar);
+        });
+        if (overflow > 0) {
+          const count = document.createElement('div');
+          count.className = countClassName;
+          count.textContent = `+${overflow}`;
+          container.appendChild(count);
+        }
+      };
+
+      if (users) fill(users, 'collab-avatar', 'users-count');
+      if (previewAvatars) fill(previewAvatars, 'avatar', 'avatar-count');
+      if (previewCount) {
+        const count = everyone.length;
+        this.setText(previewCount, count === 1
+          ? i18n.t('collabDemo.onlineOne', '{count} user online', { count })
+          : i18n.t('collabDemo.online', '{count} users online', { count }));
+      }
+    }
+
+    renderStatus() {
+      const { status, typing } = this.elements;
+      const others = this.getParticipants();
+
+      if (status) {
+        const humans = others.filter(entry => !entry.participant.isBot);
+        this.setText(status, humans.length > 0
+          ? i18n.t('collabDemo.editingWith', 'Editing with {names}', {
+            names: humans.map(entry => entry.participant.name).join(', ')
+          })
+          : i18n.t('collabDemo.alone', 'Open this page in another tab to edit together. Until then, {name} keeps you company.', {
+            name: this.config.bot ? this.config.bot.name : ''
+          }));
+      }
+
+      if (typing) {
+        const typists = others.filter(entry => this.isTyping(entry));
+        typing.hidden = typists.length === 0;
+        const label = typing.querySelector('.cursor-label');
+        if (label && typists.length > 0) {
+          const names = typists.map(entry => entry.participant.name).join(', ');
+          this.setText(label, typists.length === 1
+            ? i18n.t('collabDemo.typing', '{names} is typing…', { names })
+            : i18n.t('collabDemo.typingMany', '{names} are typing…', { names }));
+        }
+      }
+    }
+
+    renderCursors() {
+      const { cursors, input } = this.elements;
+      if (!cursors) return;
+
+      cursors.textContent = '';
+      this.getParticipants().forEach(entry => {
+        if (!entry.cursor) return;
+        const index = this.doc.getIndex(entry.cursor.anchor);
+        if (index === null) return;
+
+        const { top, left, height } = this.getCaretCoordinates(index);
+        if (top + height < 0 || top > input.clientHeight) return;
+
+        const cursor = document.createElement('div');
+        cursor.className = 'collab-cursor';
+        cursor.style.setProperty('--collab-color', entry.participant.color);
+        cursor.style.transform = `translate(${left}px, ${top}px)`;
+        cursor.style.height = `${height}px`;
+
+        const label = document.createElement('span');
+        label.className = 'collab-cursor-label';
+        label.textContent = entry.participant.name;
+
+        cursor.appendChild(label);
+        cursors.appendChild(cursor);
+      });
+    }
+
+    /**
+     * Where a text index sits inside the textarea, found by laying the text
+     * out in an invisible copy of it.
+     */
+    getCaretCoordinates(index) {
+      const { input, surface } = this.elements;
+      const style = window.getComputedStyle(input);
+
+      if (!this.mirror) {
+        this.mirror = document.createElement('div');
+        this.mirror.className = 'collab-mirror';
+        this.mirror.setAttribute('aria-hidden', 'true');
+        surface.appendChild(this.mirror);
+      }
+
+      [
+        'boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+        'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+        'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+        'textTransform', 'wordSpacing', 'tabSize'
+      ].forEach(property => {
+        this.mirror.style[property] = style[property];
+      });
+
+      const text = input.value;
+      const marker = document.createElement('span');
+      marker.textContent = text.slice(index) || '.';
+      this.mirror.textContent = text.slice(0, index);
+      this.mirror.appendChild(marker);
+
+      const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2 || 16;
+      return {
+        top: marker.offsetTop + (parseFloat(style.borderTopWidth) || 0) - input.scrollTop,
+        left: marker.offsetLeft + (parseFloat(style.borderLeftWidth) || 0) - input.scrollLeft,
+        height: lineHeight
+      };
+    }
+  }
+
+  // ===== Deep Links =====
+  /**
+   * Follows a link to a page or one of its sections. A link into the current
+   * page scrolls there instead of reloading, opening the FAQ answer it
+   * points at.
+   */
+  function followLink(url, { faqManager, smoothScrollManager } = {}) {
+    const normalizePath = (pathname) => (pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    if (url.origin !== window.location.origin
+      || normalizePath(url.pathname) !== normalizePath(window.location.pathname)) {
+      window.location.href = url.href;
+      return;
+    }
+    if (!url.hash) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    history.pushState(history.state, '', `${window.location.pathname}${window.location.search}${url.hash}`);
+    if (faqManager && faqManager.getItem(decodeURIComponent(url.hash.slice(1)))) {
+      faqManager.openFromHash(url.hash);
+    } else if (smoothScrollManager) {
+      smoothScrollManager.smoothScrollTo(url.hash);
+    }
+  }
+
+  // ===== Command Palette =====
+  /**
+   * Mod+K opens a fuzzy search over every page in the navbar, their
+   * section headings (section[id]) and FAQ questions, plus actions backed
+   * by the other managers. Other pages are fetched and indexed the first
+   * time the palette opens. Recently chosen items are listed first.
+   */
+  class CommandPalette {
+    constructor(modalManager, shortcuts, managers = {}) {
+      this.modalManager = modalManager;
+      this.shortcuts = shortcuts;
+      this.managers = managers;
+      this.recentStorageKey = 'novawave-recent-commands';
+      this.maxRecent = 5;
+      this.maxResults = 50;
+      this.siteIndex = null;
+      this.items = [];
+      this.results = [];
+      this.activeIndex = -1;
+      this.view = null;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (this.shortcuts) {
+          this.shortcuts.register({
+            id: 'command-palette',
+            keys: 'Mod+K',
+            description: 'Open the command palette',
+            handler: () => this.open()
+          });
+        }
+
+        document.addEventListener('click', (event) => {
+          if (event.target.closest('[data-command-palette-open]')) this.open();
+        });
+
+        // Headings are indexed in the page language
+        document.addEventListener('localechange', () => {
+          this.siteIndex = null;
+        });
+      } catch (error) {
+        console.error('Failed to initialize CommandPalette:', error);
+      }
+    }
+
+    // ----- Index -----
+
+    normalizePath(pathname) {
+      return pathname.endsWith('/') ? `${pathname}index.html` : pathname;
+    }
+
+    isCurrentPage(url) {
+      return this.normalizePath(url.pathname) === this.normalizePath(window.location.pathname);
+    }
+
+    getPages() {
+      const links = [
+        { href: 'index.html', title: i18n.t('palette.home', 'Home') },
+        ...Array.from(document.querySelectorAll('.nav-links .nav-link')).map(link => ({
+          href: link.getAttribute('href'),
+          title: link.textContent.trim()
+        }))
+      ];
+      const seen = new Set();
+
+      return links
+        .map(link => ({ ...link, url: new URL(link.href, window.location.href) }))
+        .filter(page => {
+          const path = this.normalizePath(page.url.pathname);
+          if (page.url.origin !== window.location.origin || seen.has(path)) return false;
+          seen.add(path);
+          return true;
+        });
+    }
+
+    /**
+     * Sections and FAQ questions of one page's document.
+     */
+    indexDocument(doc, page) {
+      const items = [];
+      const path = this.normalizePath(page.url.pathname);
+      const faqManager = this.managers.faqManager;
+
+      doc.querySelectorAll('section[id]').forEach(section => {
+        const heading = section.querySelector('h1, h2');
+        const title = (heading ? heading.textContent : section.getAttribute('aria-label') || '')
+          .trim()
+          .replace(/\s+/g, ' ');
+        if (!title) return;
+
+        items.push({
+          id: `section:${path}#${section.id}`,
+          type: 'section',
+          title,
+          subtitle: page.title,
+          keywords: section.id.replace(/[-_]+/g, ' '),
+          url: new URL(`#${section.id}`, page.url)
+        });
+      });
+
+      // The live page has already turned its questions into accordions
+      const questions = doc === document && faqManager
+        ? faqManager.getItems()
+        : Array.from(doc.querySelectorAll('.faq-item')).map(element => {
+          const heading = element.querySelector('.faq-question');
+          const question = heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+          const slug = faqManager ? faqManager.slugify(question) : '';
+          return { id: element.id || (slug ? `faq-${slug}` : ''), question };
+        });
+
+      questions.filter(item => item.id && item.question).forEach(item => {
+        items.push({
+          id: `faq:${path}#${item.id}`,
+          type: 'faq',
+          title: item.question,
+          subtitle: page.title,
+          url: new URL(`#${item.id}`, page.url)
+        });
+      });
+
+      return items;
+    }
+
+    async fetchPage(page) {
+      const response = await fetch(page.url.pathname, { headers: { 'Accept': 'text/html' } });
+      if (!response.ok) throw new Error(`Page request failed with status ${response.status}`);
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+      i18n.translate(doc);
+      return doc;
+    }
+
+    getPageItem(page) {
+      return {
+        id: `page:${this.normalizePath(page.url.pathname)}`,
+        type: 'page',
+        title: page.title,
+        subtitle: page.url.pathname.replace(/^\//, ''),
+        url: new URL(page.url.pathname, page.url)
+      };
+    }
+
+    // Everything that can be found without fetching other pages
+    getLocalItems() {
+      const pages = this.getPages();
+      const current = pages.find(page => this.isCurrentPage(page.url)) || {
+        title: document.title,
+        url: new URL(window.location.pathname, window.location.href)
+      };
+
+      return [...pages.map(page => this.getPageItem(page)), ...this.indexDocument(document, current)];
+    }
+
+    /**
+     * Resolves to the page, section and FAQ items of every page. A page that
+     * can't be fetched (offline, say) still contributes its own entry.
+     */
+    getSiteIndex() {
+      if (!this.siteIndex) {
+        const pages = this.getPages();
+        this.siteIndex = Promise.all(pages.map(async page => {
+          const items = [this.getPageItem(page)];
+          try {
+            const doc = this.isCurrentPage(page.url) ? document : await this.fetchPage(page);
+            items.push(...this.indexDocument(doc, page));
+          } catch (error) {
+            console.warn(`Failed to index ${page.url.pathname}:`, error);
+          }
+          return items;
+        })).then(groups => groups.flat());
+      }
+      return this.siteIndex;
+    }
+
+    getActions() {
+      const { themeManager, pricingManager, scheduleManager, liveChatManager } = this.managers;
+      const actions = [];
+      const add = (id, title, run, keywords = '') => {
+        actions.push({ id: `action:${id}`, type: 'action', title, keywords, run });
+      };
+
+      if (themeManager) {
+        const mode = themeManager.getThemeMode();
+        if (mode !== 'dark') {
+          add('theme-dark', i18n.t('palette.actions.themeDark', 'Switch to dark theme'),
+            () => themeManager.setThemeMode('dark'), 'dark mode night appearance');
+        }
+        if (mode !== 'light') {
+          add('theme-light', i18n.t('palette.actions.themeLight', 'Switch to light theme'),
+            () => themeManager.setThemeMode('light'), 'light mode day appearance');
+        }
+        if (mode !== 'system') {
+          add('theme-system', i18n.t('palette.actions.themeSystem', 'Use the system theme'),
+            () => themeManager.setThemeMode('system'), 'auto appearance');
+        }
+      }
+
+      const showBilling = (annual) => {
+        if (pricingManager && pricingManager.setBilling(annual)) {
+          const target = pricingManager.billingToggle.closest('section[id]');
+          if (target && this.managers.smoothScrollManager) {
+            this.managers.smoothScrollManager.smoothScrollTo(`#${target.id}`);
+          }
+          return;
+        }
+        window.location.href = `pricing.html?billing=${annual ? 'annual' : 'monthly'}`;
+      };
+      if (!pricingManager || !pricingManager.isAnnual) {
+        add('billing-annual', i18n.t('palette.actions.billingAnnual', 'Show annual pricing'),
+          () => showBilling(true), 'yearly prices plans billing');
+      }
+      if (pricingManager && pricingManager.isAnnual) {
+        add('billing-monthly', i18n.t('palette.actions.billingMonthly', 'Show monthly pricing'),
+          () => showBilling(false), 'prices plans billing');
+      }
+
+      if (scheduleManager) {
+        add('schedule-call', i18n.t('palette.actions.scheduleCall', 'Schedule a call'),
+          () => scheduleManager.open(), 'book meeting demo phone');
+      }
+      if (liveChatManager) {
+        add('live-chat', i18n.t('palette.actions.liveChat', 'Start a live chat'),
+          () => liveChatManager.open(), 'support help message');
+      }
+      if (this.shortcuts) {
+        add('shortcuts', i18n.t('palette.actions.shortcuts', 'Show keyboard shortcuts'),
+          () => this.shortcuts.showHelp(), 'keys keyboard help');
+      }
+
+      Object.entries(i18n.languages)
+        .filter(([code]) => code !== i18n.getLanguage())
+        .forEach(([code, name]) => {
+          add(`language-${code}`, i18n.t('palette.actions.language', 'Change language to {language}', { language: name }),
+            () => i18n.setLanguage(code), `language translate ${code}`);
+        });
+
+      return actions;
+    }
+
+    // ----- Search -----
+
+    getTypeLabel(type) {
+      const labels = {
+        page: i18n.t('palette.types.page', 'Page'),
+        section: i18n.t('palette.types.section', 'Section'),
+        faq: i18n.t('palette.types.faq', 'Question'),
+        action: i18n.t('palette.types.action', 'Action')
+      };
+      return labels[type];
+    }
+
+    /**
+     * With a query: every matching item, best first. Without one: recent
+     * items, then actions, then pages.
+     */
+    search(query) {
+      if (!query.trim()) {
+        const recent = this.getRecent()
+          .map(id => this.items.find(item => item.id === id))
+          .filter(Boolean)
+          .map(item => ({ item, indices: [], group: 'recent' }));
+        const recentIds = new Set(recent.map(result => result.item.id));
+        const rest = ['action', 'page'].flatMap(type => this.items
+          .filter(item => item.type === type && !recentIds.has(item.id))
+          .map(item => ({ item, indices: [], group: type })));
+
+        return [...recent, ...rest];
+      }
+
+      return this.items
+        .map(item => {
+          const match = fuzzyMatch(query, item.title);
+          if (match) return { item, indices: match.indices, score: match.score };
+
+          // Keywords and the page name can find an item but aren't highlighted
+          const extra = fuzzyMatch(query, `${item.keywords || ''} ${item.subtitle || ''}`);
+          return extra ? { item, indices: [], score: extra.score / 2 } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults);
+    }
+
+    getRecent() {
+      try {
+        const recent = JSON.parse(localStorage.getItem(this.recentStorageKey) || '[]');
+        return Array.isArray(recent) ? recent.filter(id => typeof id === 'string') : [];
+      } catch (error) {
+        return [];
+      }
+    }
+
+    addRecent(id) {
+      try {
+        const recent = [id, ...this.getRecent().filter(entry => entry !== id)].slice(0, this.maxRecent);
+        localStorage.setItem(this.recentStorageKey, JSON.stringify(recent));
+      } catch (error) {
+        console.warn('Failed to save recent commands:', error);
+      }
+    }
+
+    // ----- Dialog -----
+
+    open() {
+      try {
+        this.items = [...this.getActions(), ...this.getLocalItems()];
+
+        return this.modalManager.open({
+          id: 'commandPalette',
+          title: i18n.t('palette.title', 'Command palette'),
+          className: 'command-palette-modal',
+          initialFocus: '.command-palette-input',
+          content: (modal) => this.createView(modal)
+        }).then(item => {
+          this.view = null;
+          if (item) this.run(item);
+        });
+      } catch (error) {
+        console.error('Failed to open command palette:', error);
+        return Promise.resolve();
+      }
+    }
+
+    createView(modal) {
+      const view = document.createElement('div');
+      view.className = 'command-palette';
+
+      const search = document.createElement('div');
+      search.className = 'command-palette-search';
+      const icon = document.createElement('i');
+      icon.className = 'bi bi-search';
+      icon.setAttribute('aria-hidden', 'true');
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'command-palette-input';
+      input.autocomplete = 'off';
+      input.spellcheck = false;
+      input.placeholder = i18n.t('palette.placeholder', 'Search pages, sections, questions and actions');
+      input.setAttribute('aria-label', input.placeholder);
+      input.setAttribute('role', 'combobox');
+      input.setAttribute('aria-expanded', 'true');
+      input.setAttribute('aria-autocomplete', 'list');
+      input.setAttribute('aria-controls', 'commandPaletteList');
+      search.append(icon, input);
+
+      const list = document.createElement('ul');
+      list.id = 'commandPaletteList';
+      list.className = 'command-palette-list';
+      list.setAttribute('role', 'listbox');
+      list.setAttribute('aria-label', i18n.t('palette.results', 'Results'));
+
+      const status = document.createElement('p');
+      status.className = 'command-palette-status';
+      status.setAttribute('role', 'status');
+      status.setAttribute('aria-live', 'polite');
+
+      const hint = document.createElement('p');
+      hint.className = 'command-palette-hint';
+      hint.textContent = i18n.t('palette.hint', '↑ ↓ to move · Enter to open · Esc to close');
+
+      view.append(search, list, status, hint);
+      this.view = { modal, input, list, status };
+
+      input.addEventListener('input', () => this.update());
+      input.addEventListener('keydown', (event) => this.handleKeydown(event));
+      // Keep focus in the input while picking with the mouse
+      list.addEventListener('mousedown', (event) => event.preventDefault());
+      list.addEventListener('click', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option) this.choose(Number(option.dataset.index));
+      });
+      list.addEventListener('mousemove', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option && Number(option.dataset.index) !== this.activeIndex) {
+          this.setActive(Number(option.dataset.index), false);
+        }
+      });
+
+      this.update();
+
+      // Other pages join the results once they've been fetched
+      status.textContent = i18n.t('palette.loading', 'Indexing the site…');
+      this.getSiteIndex().then(siteItems => {
+        if (!this.view || this.view.modal !== modal) return;
+        this.items = [...this.getActions(), ...siteItems];
+        this.update();
+      });
+
+      return view;
+    }
+
+    update() {
+      if (!this.view) return;
+      const { input, list, status } = this.view;
+
+      this.results = this.search(input.value);
+      list.innerHTML = '';
+
+      let group = null;
+      this.results.forEach((result, index) => {
+        if (result.group && result.group !== group) {
+          group = result.group;
+          const heading = document.createElement('li');
+          heading.className = 'command-palette-group';
+          heading.setAttribute('role', 'presentation');
+          heading.textContent = {
+            recent: i18n.t('palette.recent', 'Recent'),
+            action: i18n.t('palette.actionsGroup', 'Actions'),
+            page: i18n.t('palette.pagesGroup', 'Pages')
+          }[group];
+          list.appendChild(heading);
+        }
+        list.appendChild(this.createOption(result, index));
+      });
+
+      status.textContent = input.value.trim()
+        ? (this.results.length === 0
+          ? i18n.t('palette.noResults', 'No results for "{query}"', { query: input.value.trim() })
+          : i18n.t('palette.count', '{count} results', { count: this.results.length }))
+        : '';
+
+      this.setActive(this.results.length > 0 ? 0 : -1);
+    }
+
+    createOption({ item, indices }, index) {
+      const icons = { page: 'file-earmark', section: 'hash', faq: 'question-circle', action: 'lightning' };
+
+      const option = document.createElement('li');
+      option.id = `commandOption${index}`;
+      option.className = 'command-palette-option';
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+
+      const icon = document.createElement('i');
+      icon.className = `bi bi-${icons[item.type]}`;
+      icon.setAttribute('aria-hidden', 'true');
+
+      const title = document.createElement('span');
+      title.className = 'command-palette-title';
+      highlightIndices(title, item.title, indices);
+
+      const meta = document.createElement('span');
+      meta.className = 'command-palette-meta';
+      meta.textContent = item.subtitle
+        ? `${this.getTypeLabel(item.type)} · ${item.subtitle}`
+        : this.getTypeLabel(item.type);
+
+      option.append(icon, title, meta);
+      return option;
+    }
+
+    setActive(index, scroll = true) {
+      if (!this.view) return;
+      const { input, list } = this.view;
+
+      this.activeIndex = index;
+      list.querySelectorAll('[role="option"]').forEach(option => {
+        const active = Number(option.dataset.index) === index;
+        option.setAttribute('aria-selected', String(active));
+        option.classList.toggle('is-active', active);
+        if (active && scroll && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+      });
+
+      if (index >= 0) {
+        input.setAttribute('aria-activedescendant', `commandOption${index}`);
+      } else {
+        input.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    handleKeydown(event) {
+      const count = this.results.length;
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (count === 0) return;
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.setActive((this.activeIndex + step + count) % count);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (this.activeIndex >= 0) this.choose(this.activeIndex);
+      }
+    }
+
+    choose(index) {
+      const result = this.results[index];
+      if (!result || !this.view) return;
+
+      this.addRecent(result.item.id);
+      // run() happens once the palette has closed and handed focus back
+      this.view.modal.close(result.item);
+    }
+
+    run(item) {
+      try {
+        if (item.run) {
+          item.run();
+          return;
+        }
+        followLink(item.url, this.managers);
+      } catch (error) {
+        console.error('Failed to run command:', error);
+      }
+    }
+  }
+
+  // ===== Site Search =====
+  /**
+   * Full-text search in the navbar over the index written by
+   * scripts/build-search-index.js. Every word of the query has to start a
+   * word in a section's heading or text; heading matches rank highest.
+   * Results show a highlighted snippet and link straight to the section.
+   * The index is fetched the first time the search box gets focus.
+   */
+  class SiteSearch {
+    constructor(shortcuts, managers = {}) {
+      this.shortcuts = shortcuts;
+      this.managers = managers;
+      this.indexUrl = '/assets/data/search-index.json';
+      this.container = document.querySelector('.site-search');
+      this.input = document.getElementById('siteSearchInput');
+      this.list = document.getElementById('siteSearchResults');
+      this.panel = this.container ? this.container.querySelector('.site-search-panel') : null;
+      this.status = this.container ? this.container.querySelector('.site-search-status') : null;
+      this.index = null;
+      this.results = [];
+      this.activeIndex = -1;
+      this.maxResults = 8;
+      this.snippetLength = 140;
+      this.debounceDelay = 120;
+      this.debounceTimer = null;
+
+      this.init();
+    }
+
+    init() {
+      try {
+        if (!this.container || !this.input || !this.list || !this.panel) return;
+
+        this.container.hidden = false;
+        this.bindEvents();
+
+        if (this.shortcuts) {
+          this.shortcuts.register({
+            id: 'focus-search',
+            keys: '/',
+            description: 'Search the site',
+            handler: () => this.input.focus()
+          });
+        }
+      } catch (error) {
+        console.error('Failed to initialize SiteSearch:', error);
+      }
+    }
+
+    bindEvents() {
+      this.input.addEventListener('focus', () => {
+        this.loadIndex();
+        if (this.input.value.trim()) this.update();
+      });
+
+      this.input.addEventListener('input', () => {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.update(), this.debounceDelay);
+      });
+
+      this.input.addEventListener('keydown', (event) => this.handleKeydown(event));
+
+      // Keep focus in the input while picking with the mouse
+      this.list.addEventListener('mousedown', (event) => event.preventDefault());
+      this.list.addEventListener('click', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option) this.choose(Number(option.dataset.index));
+      });
+      this.list.addEventListener('mousemove', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option && Number(option.dataset.index) !== this.activeIndex) {
+          this.setActive(Number(option.dataset.index), false);
+        }
+      });
+
+      this.container.addEventListener('focusout', (event) => {
+        if (!this.container.contains(event.relatedTarget)) this.close();
+      });
+    }
+
+    // ----- Index -----
+
+    /**
+     * Resolves to { pages, sections }, or null when the index can't be
+     * loaded (a later call tries again).
+     */
+    loadIndex() {
+      if (!this.index) {
+        this.index = fetch(this.indexUrl)
+          .then(response => {
+            if (!response.ok) throw new Error(`Search index request failed with status ${response.status}`);
+            return response.json();
+          })
+          .then(data => this.parseIndex(data))
+          .catch(error => {
+            console.warn('Failed to load search index:', error);
+            this.index = null;
+            return null;
+          });
+      }
+      return this.index;
+    }
+
+    parseIndex(data) {
+      const root = new URL('/', window.location.href);
+      const pages = data.pages.map(([url, title, description]) => ({
+        url: new URL(url, root),
+        title,
+        description
+      }));
+      const sections = data.sections.map(([page, id, title, text]) => ({
+        page: pages[page],
+        id,
+        title,
+        text,
+        url: new URL(id ? `#${id}` : '', pages[page].url)
+      }));
+
+      return { pages, sections };
+    }
+
+    // ----- Search -----
+
+    getTerms(query) {
+      return Array.from(new Set(query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)));
+    }
+
+    /**
+     * Every place a term starts a word in text, as { index, length }.
+     */
+    findMatches(text, terms) {
+      const lower = text.toLowerCase();
+      const matches = [];
+
+      terms.forEach(term => {
+        let index = lower.indexOf(term);
+        while (index !== -1) {
+          if (index === 0 || !/[\p{L}\p{N}]/u.test(lower[index - 1])) {
+            matches.push({ term, index, length: term.length });
+          }
+          index = lower.indexOf(term, index + 1);
+        }
+      });
+
+      return matches.sort((a, b) => a.index - b.index);
+    }
+
+    scoreSection(section, terms) {
+      const titleMatches = this.findMatches(section.title, terms);
+      const textMatches = this.findMatches(section.text, terms);
+      const pageMatches = this.findMatches(section.page.title, terms);
+      // Anchors like "collaboration-section" name a section as well as its heading does
+      const idMatches = this.findMatches(section.id, terms);
+      let score = 0;
+
+      for (const term of terms) {
+        const inTitle = titleMatches.filter(match => match.term === term);
+        const inText = textMatches.filter(match => match.term === term);
+        const inId = idMatches.some(match => match.term === term);
+        if (inTitle.length === 0 && inText.length === 0 && !inId) return null;
+
+        // Whole words beat prefixes
+        const wholeWord = inTitle.some(match => !/[\p{L}\p{N}]/u.test(section.title[match.index + match.length] || ''));
+        score += (inTitle.length > 0 || inId ? 10 : 0) + (wholeWord ? 3 : 0) + Math.min(inText.length, 5);
+        if (pageMatches.some(match => match.term === term)) score += 2;
+      }
+
+      return { section, score, titleMatches, textMatches };
+    }
+
+    search(index, query) {
+      const terms = this.getTerms(query);
+      if (terms.length === 0) return [];
+
+      return index.sections
+        .map(section => this.scoreSection(section, terms))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults);
+    }
+
+    /**
+     * The stretch of text, about snippetLength long, that holds the most
+     * different terms, cut at word boundaries. Returns { text, indices }
+     * with indices of the characters to highlight.
+     */
+    getSnippet(text, matches) {
+      const length = this.snippetLength;
+      let start = 0;
+      let best = 0;
+
+      matches.forEach(match => {
+        const from = Math.max(0, match.index - 30);
+        const terms = new Set(matches
+          .filter(other => other.index >= from && other.index + other.length <= from + length)
+          .map(other => other.term));
+        if (terms.size > best) {
+          best = terms.size;
+          start = from;
+        }
+      });
+
+      let end = Math.min(text.length, start + length);
+      if (start > 0) {
+        const first = matches.find(match => match.index >= start);
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < (first ? first.index : end)) start = space + 1;
+      }
+      if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > start) end = space;
+      }
+
+      const prefix = start > 0 ? '…' : '';
+      const indices = matches
+        .filter(match => match.index >= start && match.index + match.length <= end)
+        .flatMap(match => Array.from({ length: match.length }, (value, offset) => match.index - start + prefix.length + offset));
+
+      return {
+        text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+        indices
+      };
+    }
+
+    async update() {
+      const query = this.input.value;
+      if (!query.trim()) {
+        this.close();
+        return;
+      }
 
-        // Clean up transition styles after animation
-        setTimeout(() => {
-          this.pricingCards.forEach(card => {
-            card.style.transition = '';
-          });
-        }, this.animationDuration);
-      } catch (error) {
-        console.error('Failed to reset card animation:', error);
+      const index = await this.loadIndex();
+      // The query may have changed while the index loaded
+      if (query !== this.input.value) return;
+
+      this.results = index ? this.search(index, query) : [];
+      this.render(query, Boolean(index));
+    }
+
+    // ----- Results -----
+
+    render(query, indexLoaded) {
+      this.list.innerHTML = '';
+      this.results.forEach((result, index) => this.list.appendChild(this.createOption(result, index)));
+
+      let message = '';
+      if (!indexLoaded) {
+        message = i18n.t('search.unavailable', 'Search is unavailable right now');
+      } else if (this.results.length === 0) {
+        message = i18n.t('search.noResults', 'No results for "{query}"', { query: query.trim() });
+      }
+
+      if (message) {
+        const empty = document.createElement('li');
+        empty.className = 'site-search-empty';
+        empty.setAttribute('role', 'presentation');
+        empty.textContent = message;
+        this.list.appendChild(empty);
       }
+
+      if (this.status) {
+        this.status.textContent = message || i18n.t('search.count', '{count} results', { count: this.results.length });
+      }
+
+      this.open();
+      this.setActive(this.results.length > 0 ? 0 : -1);
     }
 
-    updateAccessibilityAttributes(isAnnual) {
+    createOption(result, index) {
+      const { section, titleMatches, textMatches } = result;
+
+      const option = document.createElement('li');
+      option.id = `siteSearchOption${index}`;
+      option.className = 'site-search-option';
+      option.dataset.index = String(index);
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+
+      const title = document.createElement('span');
+      title.className = 'site-search-title';
+      highlightIndices(title, section.title, titleMatches.flatMap(match =>
+        Array.from({ length: match.length }, (value, offset) => match.index + offset)));
+
+      const page = document.createElement('span');
+      page.className = 'site-search-page';
+      page.textContent = section.page.title;
+
+      option.append(title, page);
+
+      if (section.text) {
+        const snippet = this.getSnippet(section.text, textMatches);
+        const text = document.createElement('span');
+        text.className = 'site-search-snippet';
+        highlightIndices(text, snippet.text, snippet.indices);
+        option.appendChild(text);
+      }
+
+      return option;
+    }
+
+    open() {
+      this.panel.hidden = false;
+      this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    close() {
+      clearTimeout(this.debounceTimer);
+      this.panel.hidden = true;
+      this.input.setAttribute('aria-expanded', 'false');
+      this.input.removeAttribute('aria-activedescendant');
+      this.activeIndex = -1;
+    }
+
+    isOpen() {
+      return !this.panel.hidden;
+    }
+
+    setActive(index, scroll = true) {
+      this.activeIndex = index;
+      this.list.querySelectorAll('[role="option"]').forEach(option => {
+        const active = Number(option.dataset.index) === index;
+        option.setAttribute('aria-selected', String(active));
+        option.classList.toggle('is-active', active);
+        if (active && scroll && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+      });
+
+      if (index >= 0) {
+        this.input.setAttribute('aria-activedescendant', `siteSearchOption${index}`);
+      } else {
+        this.input.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    handleKeydown(event) {
+      const count = this.results.length;
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (!this.isOpen()) {
+          if (this.input.value.trim()) this.update();
+          return;
+        }
+        if (count === 0) return;
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this.setActive((this.activeIndex + step + count) % count);
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        if (this.isOpen() && this.activeIndex >= 0) this.choose(this.activeIndex);
+      } else if (event.key === 'Escape') {
+        // First Escape closes the results, the second clears the query
+        if (this.isOpen()) {
+          event.preventDefault();
+          this.close();
+        } else if (this.input.value) {
+          event.preventDefault();
+          this.input.value = '';
+        }
+      }
+    }
+
+    choose(index) {
+      const result = this.results[index];
+      if (!result) return;
+
       try {
-        this.billingToggle.setAttribute('aria-checked', isAnnual.toString());
-        this.billingToggle.setAttribute('aria-label', 
-          isAnnual ? 'Switch to monthly billing' : 'Switch to annual billing'
-        );
+        this.close();
+        this.input.blur();
+        followLink(result.section.url, this.managers);
       } catch (error) {
-        console.error('Failed to update accessibility attributes:', error);
+        console.error('Failed to open search result:', error);
       }
     }
+  }
+
+  // ===== Not Found Suggestions =====
+  /**
+   * On the 404 page, suggests the pages from sitemap.xml and the indexed
+   * sections whose names look like the requested path: "/pricng" finds
+   * Pricing and "/team" finds the team section of About Us.
+   */
+  class NotFoundSuggestions {
+    constructor(siteSearch) {
+      this.siteSearch = siteSearch;
+      this.sitemapUrl = '/sitemap.xml';
+      this.container = document.querySelector('.error-did-you-mean');
+      this.links = this.container ? this.container.querySelector('.suggestion-links') : null;
+      this.maxSuggestions = 3;
+      this.minSimilarity = 0.6;
+      this.minWordLength = 3;
+      this.ignoredWords = ['404', 'htm', 'html', 'php', 'index', 'www'];
+
+      this.init();
+    }
 
-    announceChange(isAnnual) {
+    init() {
       try {
-        const announcement = document.createElement('div');
-        announcement.setAttribute('aria-live', 'polite');
-        announcement.setAttribute('aria-atomic', 'true');
-        announcement.className = 'sr-only';
-        announcement.textContent = `Switched to ${isAnnual ? 'annual' : 'monthly'} billing`;
-        
-        document.body.appendChild(announcement);
-        
-        setTimeout(() => {
-          document.body.removeChild(announcement);
-        }, 1000);
+        if (!this.container || !this.links) return;
+
+        const words = this.getPathWords(window.location.pathname);
+        if (words.length > 0) this.suggest(words);
       } catch (error) {
-        console.error('Failed to announce change:', error);
+        console.error('Failed to initialize NotFoundSuggestions:', error);
       }
     }
 
-    getCurrentBillingType() {
-      return this.isAnnual ? 'annual' : 'monthly';
+    getWords(text) {
+      return text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= this.minWordLength && !this.ignoredWords.includes(word));
     }
 
-    destroy() {
+    getPathWords(pathname) {
       try {
-        if (this.billingToggle) {
-          this.billingToggle.removeEventListener('change', this.handleToggleChange);
-          this.billingToggle.removeEventListener('keydown', this.handleKeydown);
-        }
+        return this.getWords(decodeURIComponent(pathname));
       } catch (error) {
-        console.error('Failed to destroy PricingManager:', error);
+        return this.getWords(pathname);
+      }
+    }
+
+    async loadSitemap() {
+      const response = await fetch(this.sitemapUrl);
+      if (!response.ok) throw new Error(`Sitemap request failed with status ${response.status}`);
+
+      const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+      const root = new URL('/', window.location.href);
+      // Sitemap URLs carry the production host; only the path matters here
+      return Array.from(doc.getElementsByTagName('loc'), loc => {
+        const { pathname } = new URL(loc.textContent.trim(), root);
+        return new URL(pathname.endsWith('/') ? `${pathname}index.html` : pathname, root);
+      });
+    }
+
+    getCandidates(pageUrls, index) {
+      const pages = index ? index.pages : [];
+      const candidates = pageUrls.map(url => {
+        const page = pages.find(entry => entry.url.pathname === url.pathname);
+        const title = page ? page.title : url.pathname.slice(1);
+        return { url, title, words: this.getWords(`${url.pathname} ${title}`), isPage: true };
+      });
+
+      if (index) {
+        index.sections.filter(section => section.id).forEach(section => {
+          candidates.push({
+            url: section.url,
+            title: `${section.title} · ${section.page.title}`,
+            words: this.getWords(`${section.id} ${section.title}`),
+            isPage: false
+          });
+        });
+      }
+
+      return candidates;
+    }
+
+    distance(a, b) {
+      let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+      for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+          current[j] = Math.min(
+            previous[j] + 1,
+            current[j - 1] + 1,
+            previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+          );
+        }
+        previous = current;
       }
+
+      return previous[b.length];
+    }
+
+    similarity(word, candidate) {
+      if (word === candidate) return 1;
+      if (candidate.startsWith(word) || word.startsWith(candidate)) return 0.9;
+      return 1 - this.distance(word, candidate) / Math.max(word.length, candidate.length);
+    }
+
+    /**
+     * How well the path words match a candidate: the average of each path
+     * word's best match among the candidate's words, pages slightly ahead.
+     */
+    score(words, candidate) {
+      if (candidate.words.length === 0) return 0;
+
+      const total = words.reduce((sum, word) =>
+        sum + Math.max(...candidate.words.map(other => this.similarity(word, other))), 0);
+      return total / words.length + (candidate.isPage ? 0.05 : 0);
+    }
+
+    async suggest(words) {
+      const [pageUrls, index] = await Promise.all([
+        this.loadSitemap().catch(error => {
+          console.warn('Failed to load sitemap:', error);
+          return [];
+        }),
+        this.siteSearch ? this.siteSearch.loadIndex() : null
+      ]);
+
+      const seen = new Set();
+      const suggestions = this.getCandidates(pageUrls, index)
+        .map(candidate => ({ ...candidate, score: this.score(words, candidate) }))
+        .filter(candidate => candidate.score >= this.minSimilarity)
+        .sort((a, b) => b.score - a.score)
+        .filter(candidate => {
+          if (seen.has(candidate.url.href)) return false;
+          seen.add(candidate.url.href);
+          return true;
+        })
+        .slice(0, this.maxSuggestions);
+
+      if (suggestions.length > 0) this.render(suggestions);
+    }
+
+    render(suggestions) {
+      this.links.textContent = '';
+
+      suggestions.forEach(suggestion => {
+        const link = document.createElement('a');
+        link.className = 'suggestion-link';
+        link.href = suggestion.url.href;
+
+        const icon = document.createElement('i');
+        icon.className = `bi bi-${suggestion.isPage ? 'file-earmark' : 'hash'}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('span');
+        label.textContent = suggestion.title;
+
+        link.append(icon, label);
+        this.links.appendChild(link);
+      });
+
+      this.container.hidden = false;
     }
   }
 
@@ -931,19 +8337,6 @@
       try {
         document.addEventListener('keydown', (e) => {
           try {
-            // Toggle theme with Ctrl/Cmd + Shift + T
-            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'T') {
-              e.preventDefault();
-              if (window.themeManager) {
-                window.themeManager.toggleTheme();
-              }
-            }
-            
-            // Escape key closes mobile menu
-            if (e.key === 'Escape') {
-              this.handleEscapeKey();
-            }
-
             // Tab navigation improvements
             if (e.key === 'Tab') {
               this.handleTabNavigation(e);
@@ -957,130 +8350,374 @@
       }
     }
 
-    handleEscapeKey() {
-      try {
-        // Close mobile menu if open
-        if (window.navigationManager) {
-          window.navigationManager.closeMobileMenu();
-        }
+    handleTabNavigation(event) {
+      try {
+        // Trap focus within modal if one is open
+        const modal = document.querySelector('.modal.active');
+        if (modal) {
+          this.trapFocus(modal, event);
+        }
+      } catch (error) {
+        console.error('Failed to handle tab navigation:', error);
+      }
+    }
+
+    trapFocus(container, event) {
+      try {
+        const focusableElements = container.querySelectorAll(
+          'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (event.shiftKey && document.activeElement === firstElement) {
+          event.preventDefault();
+          lastElement.focus();
+        } else if (!event.shiftKey && document.activeElement === lastElement) {
+          event.preventDefault();
+          firstElement.focus();
+        }
+      } catch (error) {
+        console.error('Failed to trap focus:', error);
+      }
+    }
+
+    preloadCriticalAssets() {
+      try {
+        // Preload critical fonts
+        const criticalFonts = [
+          '/assets/fonts/main-font.woff2',
+          '/assets/fonts/heading-font.woff2'
+        ];
+
+        criticalFonts.forEach(font => {
+          const link = document.createElement('link');
+          link.rel = 'preload';
+          link.as = 'font';
+          link.type = 'font/woff2';
+          link.crossOrigin = 'anonymous';
+          link.href = font;
+          document.head.appendChild(link);
+        });
+      } catch (error) {
+        console.error('Failed to preload critical assets:', error);
+      }
+    }
+
+    isReducedMotion() {
+      return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    debounce(func, wait) {
+      let timeout;
+      return function executedFunction(...args) {
+        const later = () => {
+          clearTimeout(timeout);
+          func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+      };
+    }
+
+    throttle(func, limit) {
+      let inThrottle;
+      return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+          func.apply(context, args);
+          inThrottle = true;
+          setTimeout(() => inThrottle = false, limit);
+        }
+      };
+    }
+  }
+
+  // ===== Form Submission =====
+  class SubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = null, retryable = false } = {}) {
+      super(message);
+      this.name = 'SubmissionError';
+      this.status = status;
+      this.fieldErrors = fieldErrors;
+      this.retryable = retryable;
+    }
+  }
+
+  /**
+   * Sends forms through a pluggable transport chosen per form:
+   *   data-transport  json | multipart | mailto (default: json)
+   *   data-endpoint   URL to POST to (default: the form action, else /api/contact)
+   *   data-timeout    Per-attempt timeout in ms
+   *   data-retries    Retries for network errors, timeouts and 5xx responses
+   *   data-fallback   Transport to use once retries are exhausted (e.g. mailto)
+   *   data-mailto     Recipient address for the mailto transport
+   *   data-offline-queue  Queue the submission for background sync when offline
+   */
+  class FormSubmitter {
+    constructor() {
+      this.defaults = {
+        transport: 'json',
+        endpoint: '/api/contact',
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 500
+      };
+      this.transports = {
+        json: (form, config, signal) => this.sendJSON(form, config, signal),
+        multipart: (form, config, signal) => this.sendMultipart(form, config, signal),
+        mailto: (form, config) => this.sendMailto(form, config)
+      };
+    }
+
+    registerTransport(name, handler) {
+      if (typeof handler !== 'function') {
+        throw new TypeError(`Transport "${name}" must be a function`);
+      }
+      this.transports[name] = handler;
+    }
+
+    getConfig(form) {
+      const { dataset } = form;
+      const action = form.getAttribute('action');
+      const readNumber = (value, fallback) => {
+        const parsed = parseInt(value, 10);
+        return Number.isNaN(parsed) ? fallback : parsed;
+      };
+
+      return {
+        transport: dataset.transport || this.defaults.transport,
+        endpoint: dataset.endpoint || (action && action !== '#' ? action : this.defaults.endpoint),
+        timeout: readNumber(dataset.timeout, this.defaults.timeout),
+        retries: readNumber(dataset.retries, this.defaults.retries),
+        retryDelay: readNumber(dataset.retryDelay, this.defaults.retryDelay),
+        fallback: dataset.fallback || null,
+        mailto: dataset.mailto || '',
+        offlineQueue: 'offlineQueue' in dataset
+      };
+    }
+
+    async submit(form) {
+      const config = this.getConfig(form);
+
+      if (this.shouldQueueOffline(config)) {
+        return this.queueOffline(form, config);
+      }
+
+      try {
+        return await this.sendWithRetry(config.transport, form, config);
+      } catch (error) {
+        if (error.retryable && error.status === 0 && this.shouldQueueOffline(config)) {
+          return this.queueOffline(form, config);
+        }
+
+        const canFallBack = config.fallback && config.fallback !== config.transport;
+        if (canFallBack && error.retryable) {
+          console.warn(`Form submission failed, falling back to ${config.fallback}:`, error);
+          return this.send(config.fallback, form, config);
+        }
+        throw error;
+      }
+    }
+
+    shouldQueueOffline(config) {
+      return config.offlineQueue &&
+        !navigator.onLine &&
+        config.transport !== 'mailto' &&
+        Boolean(window.NovaWaveOfflineQueue && window.NovaWaveOfflineQueue.isSupported()) &&
+        'serviceWorker' in navigator &&
+        Boolean(navigator.serviceWorker.controller);
+    }
+
+    async queueOffline(form, config) {
+      const queue = window.NovaWaveOfflineQueue;
+      const id = await queue.add({
+        endpoint: config.endpoint,
+        transport: config.transport,
+        fields: this.serialize(form),
+        createdAt: Date.now(),
+        attempts: 0
+      });
+
+      try {
+        const registration = await navigator.serviceWorker.ready;
+        if ('sync' in registration) {
+          await registration.sync.register(queue.SYNC_TAG);
+        }
+      } catch (error) {
+        // The page replays the queue itself on the next `online` event
+        console.warn('Background sync registration failed:', error);
+      }
+
+      return { ok: true, queued: true, id };
+    }
+
+    async sendWithRetry(transportName, form, config) {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await this.send(transportName, form, config);
+        } catch (error) {
+          if (!error.retryable || attempt >= config.retries) {
+            throw error;
+          }
+          await this.wait(config.retryDelay * Math.pow(2, attempt));
+        }
+      }
+    }
+
+    async send(transportName, form, config) {
+      const transport = this.transports[transportName];
+      if (!transport) {
+        throw new SubmissionError(`Unknown form transport: ${transportName}`);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.timeout);
+
+      try {
+        return await transport(form, config, controller.signal);
+      } catch (error) {
+        if (error instanceof SubmissionError) {
+          throw error;
+        }
+        if (error.name === 'AbortError') {
+          throw new SubmissionError(i18n.t('errors.timeout', 'The request timed out. Please try again.'), { retryable: true });
+        }
+        throw new SubmissionError(
+          i18n.t('errors.network', 'Network error. Please check your connection and try again.'),
+          { retryable: true }
+        );
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    sendJSON(form, config, signal) {
+      return this.request(config.endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify(this.serialize(form)),
+        signal
+      });
+    }
 
-        // Close any open modals or dropdowns
-        const openElements = document.querySelectorAll('.active, .open');
-        openElements.forEach(element => {
-          element.classList.remove('active', 'open');
-        });
-      } catch (error) {
-        console.error('Failed to handle escape key:', error);
-      }
+    sendMultipart(form, config, signal) {
+      return this.request(config.endpoint, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json' },
+        body: new FormData(form),
+        signal
+      });
     }
 
-    handleTabNavigation(event) {
-      try {
-        // Trap focus within modal if one is open
-        const modal = document.querySelector('.modal.active');
-        if (modal) {
-          this.trapFocus(modal, event);
-        }
-      } catch (error) {
-        console.error('Failed to handle tab navigation:', error);
+    sendMailto(form, config) {
+      if (!config.mailto) {
+        throw new SubmissionError(i18n.t('errors.noMailto', 'No email address is configured for this form.'));
       }
+
+      const data = this.serialize(form);
+      const subject = data.subject ? `NovaWave enquiry: ${data.subject}` : 'NovaWave enquiry';
+      const body = Object.entries(data)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+
+      window.location.href = `mailto:${config.mailto}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+      return { ok: true, deferred: true, transport: 'mailto' };
     }
 
-    trapFocus(container, event) {
-      try {
-        const focusableElements = container.querySelectorAll(
-          'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+    async request(url, options) {
+      const response = await fetch(url, options);
+      const payload = await this.parseBody(response);
 
-        if (event.shiftKey && document.activeElement === firstElement) {
-          event.preventDefault();
-          lastElement.focus();
-        } else if (!event.shiftKey && document.activeElement === lastElement) {
-          event.preventDefault();
-          firstElement.focus();
-        }
-      } catch (error) {
-        console.error('Failed to trap focus:', error);
+      if (response.ok) {
+        return { ok: true, status: response.status, data: payload };
       }
+
+      throw new SubmissionError(
+        (payload && payload.message) || i18n.t('errors.status', 'Request failed with status {status}', { status: response.status }),
+        {
+          status: response.status,
+          fieldErrors: (payload && payload.errors) || null,
+          retryable: response.status >= 500 || response.status === 408 || response.status === 429
+        }
+      );
     }
 
-    preloadCriticalAssets() {
+    async parseBody(response) {
       try {
-        // Preload critical fonts
-        const criticalFonts = [
-          '/assets/fonts/main-font.woff2',
-          '/assets/fonts/heading-font.woff2'
-        ];
-
-        criticalFonts.forEach(font => {
-          const link = document.createElement('link');
-          link.rel = 'preload';
-          link.as = 'font';
-          link.type = 'font/woff2';
-          link.crossOrigin = 'anonymous';
-          link.href = font;
-          document.head.appendChild(link);
-        });
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('application/json') ? await response.json() : null;
       } catch (error) {
-        console.error('Failed to preload critical assets:', error);
+        console.warn('Failed to parse submission response:', error);
+        return null;
       }
     }
 
-    isReducedMotion() {
-      return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    }
-
-    debounce(func, wait) {
-      let timeout;
-      return function executedFunction(...args) {
-        const later = () => {
-          clearTimeout(timeout);
-          func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-      };
+    serialize(form) {
+      const data = {};
+      new FormData(form).forEach((value, key) => {
+        if (typeof value === 'string') {
+          data[key] = value;
+        }
+      });
+      return data;
     }
 
-    throttle(func, limit) {
-      let inThrottle;
-      return function() {
-        const args = arguments;
-        const context = this;
-        if (!inThrottle) {
-          func.apply(context, args);
-          inThrottle = true;
-          setTimeout(() => inThrottle = false, limit);
-        }
-      };
+    wait(ms) {
+      return new Promise(resolve => setTimeout(resolve, ms));
     }
   }
 
   // ===== Form Validator =====
+  /**
+   * Validates and submits every form[data-validate]. Rules are declared on
+   * the fields themselves:
+   *   required, type="email", type="tel", pattern (+ data-error-message)
+   *   data-minlength / data-maxlength  Limits on the trimmed value
+   *   data-match="field"               Must equal another field in the form
+   *   data-required-if="field=value"   Required while another field has a value
+   *   data-rules="name …"              Built-in or registerRule() rules
+   * data-error-<check> overrides a check's message (e.g. data-error-minlength).
+   * Rules may be async; a submit runs one validation pass and produces one
+   * result, either field errors or the submission outcome. Rules registered
+   * with a debounce also run while the user types.
+   */
   class FormValidator {
     constructor() {
-      this.forms = document.querySelectorAll('form');
+      this.forms = document.querySelectorAll('form[data-validate]');
+      this.submitter = new FormSubmitter();
       this.validationRules = {
         email: {
           pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
           message: 'Please enter a valid email address'
         },
-        required: {
-          pattern: /.+/,
-          message: 'This field is required'
-        },
         phone: {
           pattern: /^[\+]?[1-9][\d]{0,15}$/,
           message: 'Please enter a valid phone number'
         },
+        // Letters in any script, with the spaces, hyphens, apostrophes and
+        // periods names use (José, O'Brien, Anne-Marie, Mary J. Blige)
         name: {
-          pattern: /^[a-zA-Z\s]{2,50}$/,
-          message: 'Name must be 2-50 characters and contain only letters'
+          pattern: /^(?=.{2,50}$)\p{L}[\p{L}\p{M}'’. -]*$/u,
+          message: 'Name must be 2-50 characters and use only letters, spaces, hyphens or apostrophes'
         }
       };
+      this.emailDomainEndpoint = '/api/email-domain';
+      this.rules = new Map();
+      this.fieldTokens = new WeakMap();
+      this.debounceTimers = new WeakMap();
+      this.domainLookups = new Map();
+      this.pendingSubmits = new WeakSet();
+
+      Object.entries(this.validationRules).forEach(([name, rule]) => {
+        this.registerRule(name, value => rule.pattern.test(value), { message: rule.message });
+      });
+      this.registerBuiltInRules();
       this.init();
     }
 
@@ -1089,11 +8726,108 @@
         this.setupFormValidation();
         this.setupRealTimeValidation();
         this.setupAccessibility();
+
+        // Shown errors follow the page language
+        document.addEventListener('localechange', () => {
+          this.forms.forEach(form => {
+            this.getFields(form)
+              .filter(field => field.classList.contains('error'))
+              .forEach(field => this.validateField(field));
+          });
+        });
       } catch (error) {
         console.error('Failed to initialize FormValidator:', error);
       }
     }
 
+    /**
+     * Adds a rule fields can opt into with data-rules. test(value, field, form)
+     * returns (or resolves to) true when valid, and false or an error message
+     * when not. Options:
+     *   message        Default error message
+     *   debounce       Also validate this many ms after the user stops typing
+     *   validateEmpty  Run on empty values too (for conditional requirements)
+     */
+    registerRule(name, test, { message = 'Please check this field', debounce = 0, validateEmpty = false } = {}) {
+      if (typeof test !== 'function') {
+        throw new TypeError(`Validation rule "${name}" must be a function`);
+      }
+      this.rules.set(name, { test, message, debounce, validateEmpty });
+    }
+
+    registerBuiltInRules() {
+      // data-match="email": the value must equal the named field's value
+      this.registerRule('match', (value, field, form) => {
+        const other = form && form.elements.namedItem(field.dataset.match);
+        return Boolean(other) && value === other.value.trim();
+      }, { message: 'The values don\'t match' });
+
+      // data-required-if="subject=sales": required only while the condition holds
+      this.registerRule('required-if', (value, field) => {
+        return Boolean(value) || !this.isConditionallyRequired(field);
+      }, { message: 'This field is required', validateEmpty: true });
+
+      this.registerRule('email-domain', async (value) => {
+        const at = value.lastIndexOf('@');
+        if (at < 1) return true;
+
+        const domain = value.slice(at + 1).toLowerCase();
+        const result = await this.lookupEmailDomain(domain);
+
+        // No answer (offline, static hosting) shouldn't block the form
+        if (!result || result.mx) return true;
+        if (result.suggestion) {
+          return i18n.t('validation.emailSuggestion', 'Did you mean {email}?', {
+            email: `${value.slice(0, at)}@${result.suggestion}`
+          });
+        }
+        return false;
+      }, { message: 'We couldn\'t find a mail server for that domain', debounce: 400 });
+    }
+
+    /**
+     * Resolves to the lookup endpoint's { domain, mx, suggestion? } answer, or
+     * null when it can't be reached. Answers are cached per domain.
+     */
+    lookupEmailDomain(domain) {
+      if (!this.domainLookups.has(domain)) {
+        const url = `${this.emailDomainEndpoint}?domain=${encodeURIComponent(domain)}`;
+        const lookup = fetch(url, { headers: { 'Accept': 'application/json' } })
+          .then(response => (response.ok ? response.json() : null))
+          .catch(() => {
+            this.domainLookups.delete(domain);
+            return null;
+          });
+        this.domainLookups.set(domain, lookup);
+      }
+      return this.domainLookups.get(domain);
+    }
+
+    getRequiredCondition(field) {
+      const [name, expected = ''] = (field.dataset.requiredIf || '').split('=');
+      return { name: name.trim(), expected: expected.trim() };
+    }
+
+    isConditionallyRequired(field) {
+      const { name, expected } = this.getRequiredCondition(field);
+      const other = field.form && name ? field.form.elements.namedItem(name) : null;
+      if (!other) return false;
+
+      const value = other.type === 'checkbox' ? (other.checked ? other.value : '') : other.value;
+      return expected ? value === expected : Boolean(value);
+    }
+
+    // Mirrors a conditional requirement in aria-required and the label's marker
+    updateConditionalRequired(field) {
+      const required = this.isConditionallyRequired(field);
+      field.setAttribute('aria-required', String(required));
+
+      const marker = field.id && field.form
+        ? field.form.querySelector(`label[for="${field.id}"] .conditional-required`)
+        : null;
+      if (marker) marker.hidden = !required;
+    }
+
     setupFormValidation() {
       try {
         this.forms.forEach(form => {
@@ -1107,10 +8841,34 @@
 
     setupRealTimeValidation() {
       try {
-        const inputs = document.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-          input.addEventListener('blur', () => this.validateField(input));
-          input.addEventListener('input', () => this.clearFieldError(input));
+        this.forms.forEach(form => {
+          this.getFields(form).forEach(input => {
+            input.addEventListener('blur', () => this.validateField(input));
+            input.addEventListener('input', () => {
+              // Drop any in-flight result for the old value
+              this.fieldTokens.set(input, {});
+              this.clearFieldError(input);
+              this.scheduleValidation(input);
+            });
+          });
+
+          form.addEventListener('change', (e) => {
+            const name = e.target.name;
+            if (!name) return;
+
+            // Re-check a confirmation field once the field it mirrors changes
+            form.querySelectorAll(`[data-match="${name}"]`).forEach(dependent => {
+              if (dependent.value) this.validateField(dependent);
+            });
+
+            // Update fields whose requirement depends on this one
+            this.getFields(form)
+              .filter(field => field.dataset.requiredIf && this.getRequiredCondition(field).name === name)
+              .forEach(dependent => {
+                this.updateConditionalRequired(dependent);
+                if (dependent.classList.contains('error')) this.validateField(dependent);
+              });
+          });
         });
       } catch (error) {
         console.error('Failed to setup real-time validation:', error);
@@ -1119,126 +8877,206 @@
 
     setupAccessibility() {
       try {
-        const inputs = document.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-          // Add aria-describedby for error messages
-          const errorId = `${input.id || input.name}-error`;
-          input.setAttribute('aria-describedby', errorId);
+        this.forms.forEach(form => {
+          this.getFields(form).forEach(input => {
+            this.linkErrorElement(input);
+            if (input.dataset.requiredIf) this.updateConditionalRequired(input);
+          });
         });
       } catch (error) {
         console.error('Failed to setup accessibility:', error);
       }
     }
 
-    handleFormSubmit(event) {
+    // Adds the error element to aria-describedby without dropping existing ids
+    linkErrorElement(input) {
+      const errorId = this.getErrorId(input);
+      const describedBy = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+      if (!describedBy.includes(errorId)) {
+        input.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+      }
+    }
+
+    getErrorId(input) {
+      return `${input.id || input.name}-error`;
+    }
+
+    getFields(form) {
+      return Array.from(form.elements).filter(field =>
+        field.matches('input, select, textarea') &&
+        !field.disabled &&
+        !['hidden', 'submit', 'button', 'reset', 'image'].includes(field.type) &&
+        Boolean(field.id || field.name)
+      );
+    }
+
+    async handleFormSubmit(event) {
+      event.preventDefault();
+      const form = event.currentTarget;
+
+      // A second submit while validating or sending would produce a second result
+      if (this.pendingSubmits.has(form)) return;
+      this.pendingSubmits.add(form);
+
       try {
-        event.preventDefault();
-        const form = event.target;
-        const isValid = this.validateForm(form);
+        const result = await this.validateForm(form);
 
-        if (isValid) {
-          this.submitForm(form);
+        if (result.valid) {
+          await this.submitForm(form);
         } else {
-          // Focus first invalid field
-          const firstError = form.querySelector('.error');
-          if (firstError) {
-            firstError.focus();
-            firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          }
+          const firstError = result.errors[0].field;
+          firstError.focus();
+          firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
       } catch (error) {
         console.error('Failed to handle form submit:', error);
+      } finally {
+        this.pendingSubmits.delete(form);
       }
     }
 
-    validateForm(form) {
+    /**
+     * Resolves to { valid, errors: [{ field, message }] } in field order.
+     */
+    async validateForm(form) {
       try {
-        const inputs = form.querySelectorAll('input, textarea, select');
-        let isValid = true;
-
-        inputs.forEach(input => {
-          if (!this.validateField(input)) {
-            isValid = false;
-          }
-        });
+        const fields = this.getFields(form);
+        const messages = await Promise.all(fields.map(field => this.checkField(field)));
+        const errors = fields
+          .map((field, index) => ({ field, message: messages[index] }))
+          .filter(({ message }) => message);
 
-        return isValid;
+        return { valid: errors.length === 0, errors };
       } catch (error) {
         console.error('Failed to validate form:', error);
-        return false;
+        return { valid: false, errors: [] };
       }
     }
 
-    validateField(input) {
-      try {
-        const value = input.value.trim();
-        const rules = this.getFieldRules(input);
-        let isValid = true;
-        let errorMessage = '';
+    async validateField(input) {
+      return !(await this.checkField(input));
+    }
 
-        // Check required fields
-        if (input.hasAttribute('required') && !value) {
-          isValid = false;
-          errorMessage = 'This field is required';
-        }
+    // Validates after a pause in typing when one of the field's rules asks to
+    scheduleValidation(input) {
+      const delay = Math.max(0, ...this.getFieldChecks(input).map(check => check.debounce || 0));
+      clearTimeout(this.debounceTimers.get(input));
+      if (!delay || !input.value.trim()) return;
 
-        // Check specific validation rules
-        if (value && rules.length > 0) {
-          for (const rule of rules) {
-            if (!rule.pattern.test(value)) {
-              isValid = false;
-              errorMessage = rule.message;
-              break;
-            }
-          }
-        }
+      this.debounceTimers.set(input, setTimeout(() => this.validateField(input), delay));
+    }
 
-        if (isValid) {
-          this.clearFieldError(input);
-        } else {
-          this.showFieldError(input, errorMessage);
-        }
+    /**
+     * Runs the field's checks, shows or clears its error and resolves to the
+     * error message ('' when valid). A result that arrives after a newer check
+     * of the same field started leaves the UI alone.
+     */
+    async checkField(input) {
+      const token = {};
+      this.fieldTokens.set(input, token);
+      clearTimeout(this.debounceTimers.get(input));
+
+      try {
+        const message = await this.getFieldError(input);
 
-        return isValid;
+        if (this.fieldTokens.get(input) === token) {
+          if (message) {
+            this.showFieldError(input, message);
+          } else {
+            this.clearFieldError(input);
+          }
+        }
+        return message;
       } catch (error) {
         console.error('Failed to validate field:', error);
-        return false;
+        return i18n.t('validation.unavailable', 'We couldn\'t check this field. Please try again.');
       }
     }
 
-    getFieldRules(input) {
-      try {
-        const rules = [];
-        const type = input.type || input.getAttribute('data-type');
-        const inputName = input.name || input.id;
+    async getFieldError(input) {
+      const value = input.type === 'checkbox' || input.type === 'radio'
+        ? (input.checked ? input.value : '')
+        : input.value.trim();
 
-        // Type-based validation
-        if (type === 'email' || inputName.includes('email')) {
-          rules.push(this.validationRules.email);
+      let checks = this.getFieldChecks(input);
+      if (!value) {
+        if (input.required) {
+          return this.getMessage(input, 'required', i18n.t('validation.required', 'This field is required'));
         }
+        checks = checks.filter(check => check.validateEmpty);
+      }
 
-        if (type === 'tel' || inputName.includes('phone')) {
-          rules.push(this.validationRules.phone);
+      for (const check of checks) {
+        const result = await check.test(value, input, input.form);
+        if (result !== true) {
+          // A message returned by the rule is already in the page language
+          const message = typeof result === 'string'
+            ? result
+            : i18n.t(`validation.${check.name}`, check.message, check.params);
+          return this.getMessage(input, check.name, message);
         }
+      }
+      return '';
+    }
 
-        if (inputName.includes('name')) {
-          rules.push(this.validationRules.name);
-        }
+    getMessage(input, checkName, fallback) {
+      const attribute = checkName === 'pattern' ? 'data-error-message' : `data-error-${checkName}`;
+      return input.getAttribute(attribute) || fallback;
+    }
 
-        // Custom validation pattern
-        const pattern = input.getAttribute('pattern');
-        if (pattern) {
-          rules.push({
-            pattern: new RegExp(pattern),
-            message: input.getAttribute('data-error-message') || 'Invalid format'
-          });
+    /**
+     * The checks declared on a field, in the order they run.
+     */
+    getFieldChecks(input) {
+      const checks = [];
+      const { dataset } = input;
+      const ruleNames = (dataset.rules || '').split(/\s+/).filter(Boolean);
+      const addRule = (name) => {
+        const rule = this.rules.get(name);
+        if (!rule) {
+          console.warn(`Unknown validation rule "${name}"`);
+          return;
         }
+        checks.push({ name, ...rule });
+      };
 
-        return rules;
-      } catch (error) {
-        console.error('Failed to get field rules:', error);
-        return [];
+      if (input.type === 'email' && !ruleNames.includes('email')) addRule('email');
+      if (input.type === 'tel' && !ruleNames.includes('phone')) addRule('phone');
+
+      const minLength = parseInt(dataset.minlength, 10);
+      if (!Number.isNaN(minLength)) {
+        checks.push({
+          name: 'minlength',
+          test: value => value.length >= minLength,
+          message: 'Please enter at least {min} characters',
+          params: { min: minLength }
+        });
+      }
+
+      const maxLength = parseInt(dataset.maxlength, 10);
+      if (!Number.isNaN(maxLength)) {
+        checks.push({
+          name: 'maxlength',
+          test: value => value.length <= maxLength,
+          message: 'Please enter no more than {max} characters',
+          params: { max: maxLength }
+        });
+      }
+
+      const pattern = input.getAttribute('pattern');
+      if (pattern) {
+        checks.push({
+          name: 'pattern',
+          test: value => new RegExp(pattern).test(value),
+          message: 'Invalid format'
+        });
       }
+
+      if (dataset.match) addRule('match');
+      if (dataset.requiredIf) addRule('required-if');
+
+      ruleNames.forEach(addRule);
+      return checks;
     }
 
     showFieldError(input, message) {
@@ -1246,7 +9084,7 @@
         input.classList.add('error');
         input.setAttribute('aria-invalid', 'true');
 
-        const errorId = `${input.id || input.name}-error`;
+        const errorId = this.getErrorId(input);
         let errorElement = document.getElementById(errorId);
 
         if (!errorElement) {
@@ -1269,7 +9107,7 @@
         input.classList.remove('error');
         input.setAttribute('aria-invalid', 'false');
 
-        const errorId = `${input.id || input.name}-error`;
+        const errorId = this.getErrorId(input);
         const errorElement = document.getElementById(errorId);
 
         if (errorElement) {
@@ -1282,52 +9120,71 @@
     }
 
     async submitForm(form) {
-      try {
-        const submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
-        const originalText = submitButton ? submitButton.textContent : '';
+      const submitButton = form.querySelector('button[type="submit"], input[type="submit"]');
+      const originalContent = submitButton ? submitButton.innerHTML : '';
 
+      try {
         // Show loading state
         if (submitButton) {
           submitButton.disabled = true;
-          submitButton.textContent = 'Sending...';
+          submitButton.textContent = i18n.t('form.sending', 'Sending...');
           submitButton.classList.add('loading');
         }
 
-        // Simulate form submission (replace with actual endpoint)
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
-
-        // Example: Send to your backend
-        // const response = await fetch('/api/contact', {
-        //   method: 'POST',
-        //   headers: { 'Content-Type': 'application/json' },
-        //   body: JSON.stringify(data)
-        // });
+        const result = await this.submitter.submit(form);
 
-        // Simulate successful submission
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        this.showSuccessMessage(form);
-        form.reset();
+        if (result.queued) {
+          showNotification(i18n.t('notifications.queued', 'You\'re offline. We\'ll send your message as soon as you\'re back online.'), 'info');
+          form.reset();
+        } else if (result.deferred) {
+          this.showSuccessMessage(form, i18n.t('form.mailtoOpened', 'Your email app has been opened with your message ready to send.'));
+        } else {
+          this.showSuccessMessage(form);
+          form.reset();
+        }
+      } catch (error) {
+        console.error('Failed to submit form:', error);
 
+        if (error.fieldErrors) {
+          this.applyServerErrors(form, error.fieldErrors);
+        }
+        this.showErrorMessage(form, error.message || i18n.t('form.failed', 'Failed to send message. Please try again.'));
+      } finally {
         // Reset button state
         if (submitButton) {
           submitButton.disabled = false;
-          submitButton.textContent = originalText;
+          submitButton.innerHTML = originalContent;
           submitButton.classList.remove('loading');
         }
+      }
+    }
+
+    applyServerErrors(form, fieldErrors) {
+      try {
+        let firstInvalid = null;
+
+        Object.entries(fieldErrors).forEach(([name, message]) => {
+          const input = form.elements.namedItem(name);
+          if (!input || !input.nodeType) return;
+
+          this.showFieldError(input, Array.isArray(message) ? message[0] : message);
+          firstInvalid = firstInvalid || input;
+        });
+
+        if (firstInvalid) {
+          firstInvalid.focus();
+        }
       } catch (error) {
-        console.error('Failed to submit form:', error);
-        this.showErrorMessage(form, 'Failed to send message. Please try again.');
+        console.error('Failed to apply server errors:', error);
       }
     }
 
-    showSuccessMessage(form) {
+    showSuccessMessage(form, text = i18n.t('form.sent', 'Thank you! Your message has been sent successfully.')) {
       try {
         const message = document.createElement('div');
         message.className = 'form-message success';
         message.setAttribute('role', 'status');
-        message.textContent = 'Thank you! Your message has been sent successfully.';
+        message.textContent = text;
         
         form.parentNode.insertBefore(message, form);
         
@@ -1459,14 +9316,41 @@
     // Initialize all production-ready managers
     try {
       // Core managers
-      window.themeManager = new ThemeManager();
-      window.navigationManager = new NavigationManager();
+      window.i18n = i18n;
+      i18n.init();
+      window.shortcutManager = new ShortcutManager();
+      window.themeManager = new ThemeManager(window.shortcutManager);
+      window.navigationManager = new NavigationManager(window.shortcutManager);
       window.counterManager = new CounterManager();
       window.smoothScrollManager = new SmoothScrollManager();
+      // Builds the comparison card view before PricingManager collects price elements
+      window.comparisonTableManager = new ComparisonTableManager();
       window.pricingManager = new PricingManager();
+      window.planWizardManager = new PlanWizardManager(window.comparisonTableManager, window.pricingManager);
+      window.faqManager = new FAQManager();
       window.formValidator = new FormValidator();
       window.performanceManager = new PerformanceManager();
+      window.modalManager = new ModalManager(window.performanceManager, window.shortcutManager);
+      window.shortcutManager.setModalManager(window.modalManager);
+      window.liveChatManager = new LiveChatManager(window.modalManager);
+      window.scheduleManager = new ScheduleManager(window.modalManager, window.formValidator);
+      window.commandPalette = new CommandPalette(window.modalManager, window.shortcutManager, {
+        themeManager: window.themeManager,
+        pricingManager: window.pricingManager,
+        faqManager: window.faqManager,
+        scheduleManager: window.scheduleManager,
+        liveChatManager: window.liveChatManager,
+        smoothScrollManager: window.smoothScrollManager
+      });
+      window.siteSearch = new SiteSearch(window.shortcutManager, {
+        faqManager: window.faqManager,
+        smoothScrollManager: window.smoothScrollManager
+      });
+      window.notFoundSuggestions = new NotFoundSuggestions(window.siteSearch);
+      window.aiSuggestionDemo = new AISuggestionDemo();
+      window.collaborationDemo = new CollaborationDemo();
       window.loadingManager = new LoadingManager();
+      window.offlinePageManager = new OfflinePageManager();
 
       console.log('NovaWave: All managers initialized successfully');
     } catch (error) {
@@ -1496,7 +9380,10 @@
     const scrollButton = document.createElement('button');
     scrollButton.className = 'scroll-to-top';
     scrollButton.innerHTML = '<i class="bi bi-arrow-up"></i>';
-    scrollButton.setAttribute('aria-label', 'Scroll to top');
+    scrollButton.setAttribute('aria-label', i18n.t('common.scrollToTop', 'Scroll to top'));
+    document.addEventListener('localechange', () => {
+      scrollButton.setAttribute('aria-label', i18n.t('common.scrollToTop', 'Scroll to top'));
+    });
     document.body.appendChild(scrollButton);
 
     // Show/hide button based on scroll position
@@ -1524,10 +9411,12 @@
     notification.innerHTML = `
       <div style="display: flex; align-items: center; gap: 8px;">
         <i class="bi bi-${type === 'success' ? 'check-circle-fill' : 'exclamation-triangle-fill'}"></i>
-        <span>${message}</span>
+        <span></span>
       </div>
     `;
-    
+    // Messages can carry server-provided text, so never parse them as HTML
+    notification.querySelector('span').textContent = message;
+
     document.body.appendChild(notification);
     
     // Show notification
@@ -1560,35 +9449,6 @@
     });
   }
 
-  // Form Enhancement with Better Feedback
-  function enhanceFormFeedback() {
-    const forms = document.querySelectorAll('form');
-    
-    forms.forEach(form => {
-      form.addEventListener('submit', function(e) {
-        const submitBtn = form.querySelector('button[type="submit"]');
-        
-        if (submitBtn && !submitBtn.disabled) {
-          // Show loading state
-          submitBtn.classList.add('loading');
-          
-          // Simulate form processing
-          setTimeout(() => {
-            submitBtn.classList.remove('loading');
-            submitBtn.classList.add('success');
-            showNotification('Form submitted successfully!', 'success');
-            
-            // Reset after delay
-            setTimeout(() => {
-              submitBtn.classList.remove('success');
-              form.reset();
-            }, 2000);
-          }, 1500);
-        }
-      });
-    });
-  }
-
   // Advanced Scroll Reveal Animations
   function initScrollReveal() {
     const observerOptions = {
@@ -1640,7 +9500,6 @@
   function initEnhancedFeatures() {
     initScrollToTop();
     initButtonEnhancements();
-    enhanceFormFeedback();
     initScrollReveal();
     initParallaxEffect();
     
@@ -1716,13 +9575,18 @@
           .then(registration => {
             console.log('NovaWave: Service Worker registered successfully', registration);
             
+            // A worker may already be waiting from a previous visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+              showUpdateBanner(registration.waiting);
+            }
+
             // Check for updates
             registration.addEventListener('updatefound', () => {
               const newWorker = registration.installing;
               newWorker.addEventListener('statechange', () => {
                 if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
-                  // New content is available, show update notification
-                  showNotification('New version available! Refresh to update.', 'info');
+                  // New content is available, let the user decide when to switch
+                  showUpdateBanner(newWorker);
                 }
               });
             });
@@ -1731,6 +9595,30 @@
             console.log('NovaWave: Service Worker registration failed', error);
           });
       });
+
+      // Reload once the confirmed update takes control. The first install also
+      // fires controllerchange (clients.claim), which must not reload the page.
+      // Other open tabs are now running old page code under the new worker;
+      // they are asked to reload rather than reloaded, which could throw away
+      // whatever the user is typing there.
+      let hadController = Boolean(navigator.serviceWorker.controller);
+      let reloading = false;
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!hadController) {
+          hadController = true;
+          return;
+        }
+        if (reloading) return;
+
+        if (updateRequested) {
+          reloading = true;
+          window.location.reload();
+        } else {
+          showReloadBanner();
+        }
+      });
+
+      initOfflineQueueSync();
     }
 
     // PWA Install Prompt
@@ -1748,11 +9636,99 @@
     // Handle successful app installation
     window.addEventListener('appinstalled', (evt) => {
       console.log('NovaWave: App was installed successfully');
-      showNotification('NovaWave installed successfully!', 'success');
+      showNotification(i18n.t('notifications.installed', 'NovaWave installed successfully!'), 'success');
       hideInstallBanner();
     });
   }
 
+  // Service worker update flow
+  let updateRequested = false;
+
+  function showUpdateBanner(worker) {
+    if (document.querySelector('.update-banner')) return;
+
+    const updateBanner = createUpdateBanner(
+      i18n.t('updates.available', 'Update available'),
+      i18n.t('updates.ready', 'A new version of NovaWave is ready'),
+      i18n.t('updates.apply', 'Update now')
+    );
+
+    updateBanner.querySelector('[data-update-action="apply"]').addEventListener('click', (e) => {
+      e.currentTarget.disabled = true;
+      updateRequested = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+  }
+
+  // Another tab applied the update; this one still runs the old page code
+  function showReloadBanner() {
+    const staleBanner = document.querySelector('.update-banner');
+    if (staleBanner) staleBanner.remove();
+
+    const reloadBanner = createUpdateBanner(
+      i18n.t('updates.updated', 'NovaWave was updated'),
+      i18n.t('updates.reloadHint', 'Reload to use the latest version'),
+      i18n.t('updates.reload', 'Reload')
+    );
+
+    reloadBanner.querySelector('[data-update-action="apply"]').addEventListener('click', (e) => {
+      e.currentTarget.disabled = true;
+      window.location.reload();
+    });
+  }
+
+  function createUpdateBanner(title, text, actionLabel) {
+    const updateBanner = document.createElement('div');
+    updateBanner.className = 'install-banner update-banner';
+    updateBanner.setAttribute('role', 'alert');
+    updateBanner.innerHTML = `
+      <div class="install-content">
+        <div class="install-icon">
+          <i class="bi bi-arrow-repeat"></i>
+        </div>
+        <div class="install-text">
+          <strong>${title}</strong>
+          <p>${text}</p>
+        </div>
+        <div class="install-actions">
+          <button class="btn btn-primary btn-small" data-update-action="apply">${actionLabel}</button>
+          <button class="btn btn-secondary btn-small" data-update-action="dismiss">${i18n.t('updates.later', 'Later')}</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(updateBanner);
+    setTimeout(() => updateBanner.classList.add('show'), 100);
+
+    updateBanner.querySelector('[data-update-action="dismiss"]').addEventListener('click', () => {
+      hideBanner(updateBanner);
+    });
+
+    return updateBanner;
+  }
+
+  // Offline form queue: surface replay results from the service worker
+  function initOfflineQueueSync() {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      const { type, message } = event.data || {};
+
+      if (type === 'FORM_SYNC_SUCCESS') {
+        showNotification(i18n.t('notifications.queueSent', 'Your message was sent now that you\'re back online.'), 'success');
+      } else if (type === 'FORM_SYNC_FAILED') {
+        showNotification(message || i18n.t('notifications.queueFailed', 'We couldn\'t send your queued message. Please try again.'), 'error');
+      }
+    });
+
+    // Browsers without Background Sync replay the queue when connectivity returns
+    if (!('SyncManager' in window)) {
+      window.addEventListener('online', () => {
+        if (navigator.serviceWorker.controller) {
+          navigator.serviceWorker.controller.postMessage({ type: 'REPLAY_FORM_QUEUE' });
+        }
+      });
+    }
+  }
+
   // Show PWA install banner
   function showInstallBanner() {
     const installBanner = document.createElement('div');
@@ -1763,12 +9739,12 @@
           <i class="bi bi-download"></i>
         </div>
         <div class="install-text">
-          <strong>Install NovaWave</strong>
-          <p>Get the full app experience</p>
+          <strong>${i18n.t('install.title', 'Install NovaWave')}</strong>
+          <p>${i18n.t('install.description', 'Get the full app experience')}</p>
         </div>
         <div class="install-actions">
-          <button class="btn btn-primary btn-small" id="installBtn">Install</button>
-          <button class="btn btn-secondary btn-small" id="dismissBtn">Later</button>
+          <button class="btn btn-primary btn-small" id="installBtn">${i18n.t('install.install', 'Install')}</button>
+          <button class="btn btn-secondary btn-small" id="dismissBtn">${i18n.t('updates.later', 'Later')}</button>
         </div>
       </div>
     `;
@@ -1800,7 +9776,10 @@
 
   // Hide PWA install banner
   function hideInstallBanner() {
-    const banner = document.querySelector('.install-banner');
+    hideBanner(document.querySelector('.install-banner:not(.update-banner)'));
+  }
+
+  function hideBanner(banner) {
     if (banner) {
       banner.classList.remove('show');
       setTimeout(() => banner.remove(), 300);
@@ -0,0 +1,34 @@
+/**
+ * NovaWave Theme Bootstrap
+ * Applies the saved theme, contrast and accent before first paint. Loaded as a
+ * blocking script in each page's <head>; mirrors ThemeManager in script.js, so
+ * keep the two in sync when adding a preference.
+ */
+
+(function() {
+  try {
+    const root = document.documentElement;
+    const mode = localStorage.getItem('novawave-theme');
+    const contrast = localStorage.getItem('novawave-contrast');
+    const accent = localStorage.getItem('novawave-accent');
+    const prefers = query => window.matchMedia(query).matches;
+
+    const isDark = mode === 'dark' || (mode !== 'light' && prefers('(prefers-color-scheme: dark)'));
+    root.setAttribute('data-theme', isDark ? 'dark' : 'light');
+
+    if (contrast === 'high' || (contrast !== 'normal' && prefers('(prefers-contrast: more)'))) {
+      root.setAttribute('data-contrast', 'high');
+    }
+
+    if (/^#[0-9a-f]{6}$/i.test(accent || '') && accent.toUpperCase() !== '#007AFF') {
+      const value = parseInt(accent.slice(1), 16);
+      const rgb = `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+      root.style.setProperty('--color-primary', `rgba(${rgb}, 1)`);
+      root.style.setProperty('--color-primary-hover', `rgba(${rgb}, 0.8)`);
+      root.style.setProperty('--color-primary-light', `rgba(${rgb}, 0.1)`);
+      root.style.setProperty('--accent-primary-rgb', rgb);
+    }
+  } catch (error) {
+    // Storage unavailable: ThemeManager falls back to the system theme
+  }
+})();
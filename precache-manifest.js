@@ -0,0 +1,94 @@
+/*
+  NovaWave Precache Manifest
+  Generated by scripts/build-precache.js - do not edit by hand.
+*/
+
+self.NOVAWAVE_PRECACHE = {
+  "version": "5f342e969bb1",
+  "entries": [
+    {
+      "url": "/",
+      "revision": "6b5a0053f955"
+    },
+    {
+      "url": "/index.html",
+      "revision": "6b5a0053f955"
+    },
+    {
+      "url": "/features.html",
+      "revision": "f26781d8bfcd"
+    },
+    {
+      "url": "/pricing.html",
+      "revision": "366e048dde2b"
+    },
+    {
+      "url": "/about.html",
+      "revision": "2683d74426e6"
+    },
+    {
+      "url": "/contact.html",
+      "revision": "8c51fa8f0019"
+    },
+    {
+      "url": "/404.html",
+      "revision": "0dbc3f2590ca"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "c98830f426b1"
+    },
+    {
+      "url": "/assets/css/main.css",
+      "revision": "a23236d3c703"
+    },
+    {
+      "url": "/assets/js/script.js",
+      "revision": "42099399695a"
+    },
+    {
+      "url": "/assets/js/theme-init.js",
+      "revision": "5c7f4dc9e1e8"
+    },
+    {
+      "url": "/assets/js/offline-queue.js",
+      "revision": "e7064bd5166f"
+    },
+    {
+      "url": "/assets/data/pricing.json",
+      "revision": "a82657090ccb"
+    },
+    {
+      "url": "/assets/data/ai-scenario.json",
+      "revision": "f4c9282ff5e1"
+    },
+    {
+      "url": "/assets/data/collaboration.json",
+      "revision": "67e23664dcef"
+    },
+    {
+      "url": "/assets/data/schedule.json",
+      "revision": "d56ec9dfcc55"
+    },
+    {
+      "url": "/assets/data/i18n/es.json",
+      "revision": "0cbfc8b60f57"
+    },
+    {
+      "url": "/assets/data/i18n/fr.json",
+      "revision": "d4f289ccf1c5"
+    },
+    {
+      "url": "/assets/data/search-index.json",
+      "revision": "3ea87f5a689a"
+    },
+    {
+      "url": "/sitemap.xml",
+      "revision": "7a52b22332dd"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "bbf6f77d44b4"
+    }
+  ]
+};
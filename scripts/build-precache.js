@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/*
+  NovaWave Precache Manifest Builder
+  Hashes every precached file and writes precache-manifest.js, which sw.js
+  imports. Re-run after changing any of the files below so returning visitors
+  pick up the new version:
+
+    node scripts/build-precache.js
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+// URL -> file on disk. '/' is served by index.html.
+const PRECACHE_FILES = {
+  '/': 'index.html',
+  '/index.html': 'index.html',
+  '/features.html': 'features.html',
+  '/pricing.html': 'pricing.html',
+  '/about.html': 'about.html',
+  '/contact.html': 'contact.html',
+  '/404.html': '404.html',
+  '/offline.html': 'offline.html',
+  '/assets/css/main.css': 'assets/css/main.css',
+  '/assets/js/script.js': 'assets/js/script.js',
+  '/assets/js/theme-init.js': 'assets/js/theme-init.js',
+  '/assets/js/offline-queue.js': 'assets/js/offline-queue.js',
+  '/assets/data/pricing.json': 'assets/data/pricing.json',
+  '/assets/data/ai-scenario.json': 'assets/data/ai-scenario.json',
+  '/assets/data/collaboration.json': 'assets/data/collaboration.json',
+  '/assets/data/schedule.json': 'assets/data/schedule.json',
+  '/assets/data/i18n/es.json': 'assets/data/i18n/es.json',
+  '/assets/data/i18n/fr.json': 'assets/data/i18n/fr.json',
+  '/assets/data/search-index.json': 'assets/data/search-index.json',
+  '/sitemap.xml': 'sitemap.xml',
+  '/manifest.json': 'manifest.json'
+};
+
+function hashFile(relativePath) {
+  const content = fs.readFileSync(path.join(ROOT, relativePath));
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+function buildManifest() {
+  const entries = Object.entries(PRECACHE_FILES).map(([url, file]) => ({
+    url,
+    revision: hashFile(file)
+  }));
+
+  const version = crypto.createHash('sha256')
+    .update(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+  return { version, entries };
+}
+
+function writeManifest(manifest) {
+  const source = [
+    '/*',
+    '  NovaWave Precache Manifest',
+    '  Generated by scripts/build-precache.js - do not edit by hand.',
+    '*/',
+    '',
+    `self.NOVAWAVE_PRECACHE = ${JSON.stringify(manifest, null, 2)};`,
+    ''
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT, source);
+}
+
+if (require.main === module) {
+  const manifest = buildManifest();
+  writeManifest(manifest);
+  console.log(`Precache manifest ${manifest.version} written with ${manifest.entries.length} entries`);
+}
+
+module.exports = { PRECACHE_FILES, buildManifest };
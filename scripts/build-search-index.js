@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+/*
+  NovaWave Search Index Builder
+  Extracts the headings and text of every page listed in sitemap.xml and
+  writes assets/data/search-index.json, which the navbar search and the
+  404 page's suggestions load. Re-run after editing page copy, then rebuild
+  the precache manifest so the new index is cached:
+
+    node scripts/build-search-index.js && node scripts/build-precache.js
+
+  The index is kept compact by storing rows instead of objects:
+
+    pages:    [url, title, description]
+    sections: [page, id, title, text]   page indexes pages; id is the anchor
+                                        ('' links to the top of the page)
+
+  Each FAQ question becomes its own section so it can be linked directly.
+*/
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITEMAP = path.join(ROOT, 'sitemap.xml');
+const OUTPUT = path.join(ROOT, 'assets/data/search-index.json');
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+// Elements whose content is never visible copy
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'template', 'noscript', 'svg', 'select']);
+const INLINE_ELEMENTS = new Set(['a', 'abbr', 'b', 'code', 'em', 'i', 'label', 'mark', 'small', 'span', 'strong', 'sub', 'sup']);
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™',
+  euro: '€', pound: '£', times: '×', middot: '·', bull: '•', rarr: '→'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] || match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source))) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * Parses the site's own (well-formed) HTML into a minimal element tree:
+ * { tag, attributes, children } with text as plain strings. A stray closing
+ * tag is ignored; a missing one is closed by its parent's.
+ */
+function parseHTML(html) {
+  const root = { tag: '#root', attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-z][a-z0-9-]*)\s*>|<([a-z][a-z0-9-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|[^<]+|</gi;
+  let match;
+
+  while ((match = pattern.exec(html))) {
+    const [token, closing, opening, attributeSource] = match;
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      const tag = closing.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+    } else if (opening) {
+      const tag = opening.toLowerCase();
+      const node = { tag, attributes: parseAttributes(attributeSource), children: [] };
+      parent.children.push(node);
+
+      if (SKIPPED_ELEMENTS.has(tag) && !attributeSource.trim().endsWith('/')) {
+        // Raw text elements: jump past the closing tag
+        const end = html.toLowerCase().indexOf(`</${tag}`, pattern.lastIndex);
+        pattern.lastIndex = end === -1 ? html.length : end;
+      } else if (!VOID_ELEMENTS.has(tag) && !attributeSource.trim().endsWith('/')) {
+        stack.push(node);
+      }
+    } else if (!token.startsWith('<!')) {
+      parent.children.push(decodeEntities(token));
+    }
+  }
+
+  return root;
+}
+
+function hasClass(node, className) {
+  return (node.attributes.class || '').split(/\s+/).includes(className);
+}
+
+function findAll(node, test, results = []) {
+  node.children.forEach(child => {
+    if (typeof child === 'string') return;
+    if (test(child)) results.push(child);
+    findAll(child, test, results);
+  });
+  return results;
+}
+
+function findFirst(node, test) {
+  return findAll(node, test)[0] || null;
+}
+
+function getText(node, exclude = () => false) {
+  if (typeof node === 'string') return node;
+  if (SKIPPED_ELEMENTS.has(node.tag) || exclude(node)) return ' ';
+
+  // Block-level boundaries become spaces so words don't run together
+  const text = node.children.map(child => getText(child, exclude)).join('');
+  return INLINE_ELEMENTS.has(node.tag) ? text : ` ${text} `;
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').replace(/\s+([.,;:!?])/g, '$1').trim();
+}
+
+// Mirrors FAQManager.slugify so the anchors match the ones built at runtime
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function readSitemapPages() {
+  const sitemap = fs.readFileSync(SITEMAP, 'utf8');
+  return Array.from(sitemap.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/g), match => {
+    const pathname = new URL(match[1]).pathname;
+    const url = pathname.endsWith('/') ? `${pathname.slice(1)}index.html` : pathname.slice(1);
+    return url;
+  });
+}
+
+function indexPage(url, pageIndex) {
+  const tree = parseHTML(fs.readFileSync(path.join(ROOT, url), 'utf8'));
+  const titleNode = findFirst(tree, node => node.tag === 'title');
+  const description = findFirst(tree, node => node.tag === 'meta' && node.attributes.name === 'description');
+  const sections = [];
+
+  const isFaqItem = node => hasClass(node, 'faq-item');
+
+  findAll(tree, node => node.tag === 'section').forEach(section => {
+    const label = section.attributes['aria-label'];
+    const heading = findFirst(section, node => node.tag === 'h1' || node.tag === 'h2')
+      || (label ? null : findFirst(section, node => node.tag === 'h3'));
+    const title = collapse(heading ? getText(heading) : label || '');
+    if (!title) return;
+
+    // Nested sections and FAQ questions are indexed on their own
+    const text = collapse(getText(section, node => node !== section
+      && (node === heading || node.tag === 'section' || isFaqItem(node))));
+    sections.push([pageIndex, section.attributes.id || '', title, text]);
+
+    findAll(section, isFaqItem).forEach(item => {
+      const question = findFirst(item, node => hasClass(node, 'faq-question'));
+      const answer = findFirst(item, node => hasClass(node, 'faq-answer'));
+      if (!question || !answer) return;
+
+      const questionText = collapse(getText(question));
+      sections.push([pageIndex, item.attributes.id || `faq-${slugify(questionText)}`, questionText, collapse(getText(answer))]);
+    });
+  });
+
+  return {
+    page: [
+      url,
+      collapse(titleNode ? getText(titleNode) : url).split(' — ')[0],
+      description ? collapse(description.attributes.content || '') : ''
+    ],
+    sections
+  };
+}
+
+function buildIndex() {
+  const indexed = readSitemapPages().map(indexPage);
+  const index = {
+    pages: indexed.map(entry => entry.page),
+    sections: indexed.flatMap(entry => entry.sections)
+  };
+  const version = crypto.createHash('sha256').update(JSON.stringify(index)).digest('hex').slice(0, 12);
+
+  return { version, ...index };
+}
+
+if (require.main === module) {
+  const index = buildIndex();
+  fs.writeFileSync(OUTPUT, `${JSON.stringify(index)}\n`);
+  console.log(`Search index ${index.version} written with ${index.pages.length} pages and ${index.sections.length} sections`);
+}
+
+module.exports = { buildIndex, parseHTML };
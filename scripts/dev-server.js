@@ -0,0 +1,682 @@
+#!/usr/bin/env node
+/*
+  NovaWave Development Server
+  Serves the static site together with mock API endpoints so forms and
+  widgets can be exercised locally (and by tests) without a real backend.
+
+  Usage:   node scripts/dev-server.js [port]
+  Testing: const { createServer } = require('./scripts/dev-server');
+
+  The mock chat agent answers on /api/chat/* over long-polling and over a
+  WebSocket at /api/chat/socket; both carry the same { events, cursor } payloads.
+
+  Every mock endpoint accepts two query parameters for simulating failure:
+    ?status=503  respond with that status instead of handling the request
+    ?delay=2000  wait that many milliseconds before responding
+*/
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_PORT = 8000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.woff2': 'font/woff2'
+};
+
+// ===== Helpers =====
+function sendJSON(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      // Past the limit the rest of the body is drained and discarded, so the
+      // socket stays open long enough for the client to read the 413
+      if (tooLarge) return;
+
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function parseMultipart(body, contentType) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  if (!match) return {};
+
+  const boundary = `--${match[1] || match[2]}`;
+  const fields = {};
+
+  body.split(boundary).forEach(part => {
+    const nameMatch = /name="([^"]+)"/i.exec(part);
+    if (!nameMatch || /filename="/i.test(part)) return;
+
+    const valueStart = part.indexOf('\r\n\r\n');
+    if (valueStart === -1) return;
+    fields[nameMatch[1]] = part.slice(valueStart + 4).replace(/\r\n$/, '');
+  });
+
+  return fields;
+}
+
+async function parseFields(req) {
+  const body = await readBody(req);
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.includes('application/json')) {
+    let fields;
+    try {
+      fields = JSON.parse(body || '{}');
+    } catch (error) {
+      throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+    // Handlers read fields by name, so null, arrays and bare values are refused
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw Object.assign(new Error('JSON body must be an object'), { status: 400 });
+    }
+    return fields;
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    return parseMultipart(body, contentType);
+  }
+
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+function isEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value || '');
+}
+
+// ===== Mock API =====
+const submissions = [];
+
+async function handleContact(req, res) {
+  if (req.method === 'GET') {
+    sendJSON(res, 200, { submissions });
+    return;
+  }
+
+  const fields = await parseFields(req);
+  const errors = {};
+
+  ['firstName', 'lastName', 'email', 'subject', 'message'].forEach(name => {
+    if (!String(fields[name] || '').trim()) {
+      errors[name] = 'This field is required';
+    }
+  });
+
+  if (fields.email && !isEmail(fields.email)) {
+    errors.email = 'Please enter a valid email address';
+  }
+  // Trimmed like the form's match rule, which compares trimmed values
+  if (fields.confirmEmail !== undefined
+      && String(fields.confirmEmail).trim() !== String(fields.email || '').trim()) {
+    errors.confirmEmail = 'Email addresses don\'t match';
+  }
+  if (fields.subject === 'sales' && !String(fields.company || '').trim()) {
+    errors.company = 'Please tell us which company you\'re with';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    sendJSON(res, 422, { message: 'Please correct the highlighted fields.', errors });
+    return;
+  }
+
+  const submission = {
+    id: `msg_${Date.now().toString(36)}${submissions.length}`,
+    receivedAt: new Date().toISOString(),
+    fields
+  };
+  submissions.push(submission);
+
+  sendJSON(res, 200, { ok: true, id: submission.id, receivedAt: submission.receivedAt });
+}
+
+// ===== Mock Email Domain Lookup =====
+// Stands in for an MX lookup: reserved TLDs and a few fixtures have no mail
+// server, and common typos of big providers come back with a suggestion.
+const EMAIL_RESERVED_TLDS = ['invalid', 'test', 'example', 'localhost'];
+const EMAIL_NO_MX_DOMAINS = ['nomail.com', 'no-mx.dev'];
+const EMAIL_TYPOS = {
+  'gmial.com': 'gmail.com',
+  'gmal.com': 'gmail.com',
+  'gmail.co': 'gmail.com',
+  'hotmial.com': 'hotmail.com',
+  'outlok.com': 'outlook.com',
+  'yaho.com': 'yahoo.com'
+};
+
+function handleEmailDomain(req, res, url) {
+  const domain = String(url.searchParams.get('domain') || '').trim().toLowerCase();
+
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    sendJSON(res, 400, { message: 'A domain such as example.com is required.' });
+    return;
+  }
+
+  const tld = domain.split('.').pop();
+  const suggestion = EMAIL_TYPOS[domain];
+  const mx = !suggestion && !EMAIL_RESERVED_TLDS.includes(tld) && !EMAIL_NO_MX_DOMAINS.includes(domain);
+
+  sendJSON(res, 200, suggestion ? { domain, mx, suggestion } : { domain, mx });
+}
+
+// ===== Mock Scheduling =====
+// Bookings are validated against the same config the page uses to
+// generate slots, and a slot can only be booked once.
+const bookings = [];
+
+function readScheduleConfig() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'assets/data/schedule.json'), 'utf8'));
+}
+
+async function handleSchedule(req, res) {
+  if (req.method === 'GET') {
+    sendJSON(res, 200, { bookings: bookings.map(({ office, start }) => ({ office, start })) });
+    return;
+  }
+
+  const config = readScheduleConfig();
+  const fields = await parseFields(req);
+  const errors = {};
+  const office = config.offices.find(candidate => candidate.id === fields.office);
+  const start = new Date(fields.start);
+
+  if (!String(fields.name || '').trim()) {
+    errors.name = 'This field is required';
+  }
+  if (!isEmail(fields.email)) {
+    errors.email = 'Please enter a valid email address';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    sendJSON(res, 422, { message: 'Please correct the highlighted fields.', errors });
+    return;
+  }
+
+  if (!office || Number.isNaN(start.getTime()) || start.getTime() < Date.now()) {
+    sendJSON(res, 422, { message: 'Please pick one of the available times.' });
+    return;
+  }
+
+  if (bookings.some(booking => booking.office === office.id && booking.start === start.toISOString())) {
+    sendJSON(res, 409, { message: 'That time was just booked. Please pick another.' });
+    return;
+  }
+
+  const booking = {
+    id: `call_${Date.now().toString(36)}${bookings.length}`,
+    office: office.id,
+    start: start.toISOString(),
+    end: new Date(start.getTime() + config.meetingLength * 60000).toISOString(),
+    name: fields.name,
+    email: fields.email,
+    timeZone: fields.timeZone || null
+  };
+  bookings.push(booking);
+
+  sendJSON(res, 200, { ok: true, id: booking.id, start: booking.start, end: booking.end });
+}
+
+// ===== Mock Chat Agent =====
+// Each session keeps an ordered event log; `seq` doubles as the cursor that
+// long-poll clients send back and WebSocket clients resume from.
+const CHAT_MAX_TEXT = 2000;
+const CHAT_POLL_TIMEOUT = 25000;
+const CHAT_AGENT = { name: 'Sarah Wilson', role: 'Customer Success' };
+const CHAT_REPLIES = [
+  { pattern: /\b(price|pricing|cost|plan|billing)\b/i, text: 'Our plans start free, and Professional is $12 per user per month. The pricing page has a calculator for your team size.' },
+  { pattern: /\b(demo|trial|try)\b/i, text: 'I can set up a personalized demo. Use "Schedule a Call" on this page and pick a time that suits you.' },
+  { pattern: /\b(bug|error|broken|issue|problem)\b/i, text: 'Sorry about that! Could you tell me what you were doing when it happened? I\'ll pass it to our support engineers.' },
+  { pattern: /\b(hi|hello|hey)\b/i, text: 'Hello! What can I help you with today?' },
+  { pattern: /\b(thanks|thank you)\b/i, text: 'You\'re welcome! Anything else I can help with?' }
+];
+const CHAT_FALLBACK_REPLY = 'Thanks for your message! I\'ll connect you with the right team member. This is a local mock agent, so replies are canned.';
+
+const chatSessions = new Map();
+
+function getChatSession(sessionId) {
+  if (!/^[\w-]{8,64}$/.test(sessionId || '')) {
+    throw Object.assign(new Error('Invalid chat session'), { status: 400 });
+  }
+
+  if (!chatSessions.has(sessionId)) {
+    chatSessions.set(sessionId, { events: [], waiters: new Set(), sockets: new Set(), replyTimers: [] });
+  }
+  return chatSessions.get(sessionId);
+}
+
+function getChatEvents(session, since) {
+  return session.events.filter(event => event.seq > since);
+}
+
+function pushChatEvent(session, event) {
+  const stored = { ...event, seq: session.events.length + 1, sentAt: new Date().toISOString() };
+  session.events.push(stored);
+
+  session.waiters.forEach(waiter => waiter(stored));
+  session.sockets.forEach(socket => sendSocketText(socket, JSON.stringify({ events: [stored], cursor: stored.seq })));
+  return stored;
+}
+
+function scheduleAgentReply(session, text) {
+  const match = CHAT_REPLIES.find(reply => reply.pattern.test(text));
+  const reply = match ? match.text : CHAT_FALLBACK_REPLY;
+
+  session.replyTimers.push(setTimeout(() => {
+    pushChatEvent(session, { type: 'typing', from: 'agent', typing: true });
+  }, 600));
+
+  session.replyTimers.push(setTimeout(() => {
+    pushChatEvent(session, { type: 'typing', from: 'agent', typing: false });
+    pushChatEvent(session, { type: 'message', id: `agent_${Date.now().toString(36)}`, from: 'agent', author: CHAT_AGENT, text: reply });
+  }, 600 + Math.min(3000, 800 + reply.length * 15)));
+}
+
+function handleChatClientEvent(session, payload) {
+  if (payload.type === 'typing') {
+    pushChatEvent(session, { type: 'typing', from: 'visitor', typing: payload.typing === true || payload.typing === 'true' });
+    return null;
+  }
+
+  const text = String(payload.text || '').trim();
+  if (!text) {
+    throw Object.assign(new Error('Message text is required'), { status: 422 });
+  }
+  if (text.length > CHAT_MAX_TEXT) {
+    throw Object.assign(new Error(`Messages are limited to ${CHAT_MAX_TEXT} characters`), { status: 413 });
+  }
+
+  const message = pushChatEvent(session, {
+    type: 'message',
+    id: `visitor_${Date.now().toString(36)}${session.events.length}`,
+    clientId: payload.clientId || null,
+    from: 'visitor',
+    text
+  });
+  scheduleAgentReply(session, text);
+  return message;
+}
+
+async function handleChatMessages(req, res) {
+  const fields = await parseFields(req);
+  const session = getChatSession(fields.sessionId);
+  const message = handleChatClientEvent(session, { type: 'message', text: fields.text, clientId: fields.clientId });
+  sendJSON(res, 200, { ok: true, message });
+}
+
+async function handleChatTyping(req, res) {
+  const fields = await parseFields(req);
+  const session = getChatSession(fields.sessionId);
+  handleChatClientEvent(session, { type: 'typing', typing: fields.typing });
+  sendJSON(res, 200, { ok: true });
+}
+
+// Long-poll: answers immediately when events newer than `since` exist,
+// otherwise holds the request until one arrives or `wait` ms pass. Clients
+// poll once with wait=0 on connect so they know the server is reachable.
+function handleChatEvents(req, res, url) {
+  const session = getChatSession(url.searchParams.get('session'));
+  const since = parseInt(url.searchParams.get('since'), 10) || 0;
+  const requestedWait = parseInt(url.searchParams.get('wait'), 10);
+  const wait = Number.isNaN(requestedWait) ? CHAT_POLL_TIMEOUT : Math.max(0, Math.min(requestedWait, CHAT_POLL_TIMEOUT));
+  const pending = getChatEvents(session, since);
+
+  if (pending.length > 0 || wait === 0) {
+    sendJSON(res, 200, { events: pending, cursor: session.events.length });
+    return;
+  }
+
+  let timer = null;
+  let finished = false;
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer);
+    session.waiters.delete(waiter);
+    sendJSON(res, 200, { events: getChatEvents(session, since), cursor: session.events.length });
+  };
+  // Defer so events pushed together (typing off + message) share a response
+  const waiter = () => setImmediate(finish);
+
+  session.waiters.add(waiter);
+  timer = setTimeout(finish, wait);
+  res.on('close', () => {
+    finished = true;
+    clearTimeout(timer);
+    session.waiters.delete(waiter);
+  });
+}
+
+function handleChatSession(req, res, url) {
+  const sessionId = url.searchParams.get('session');
+  const session = getChatSession(sessionId);
+
+  if (req.method === 'DELETE') {
+    session.replyTimers.forEach(clearTimeout);
+    session.sockets.forEach(socket => socket.end());
+    chatSessions.delete(sessionId);
+    sendJSON(res, 200, { ok: true });
+    return;
+  }
+
+  sendJSON(res, 200, { events: session.events, cursor: session.events.length });
+}
+
+// ===== Mock Chat WebSocket =====
+// Just enough of RFC 6455 for the chat: unfragmented text frames, ping and
+// close. Clients connect to /api/chat/socket?session=<id>&since=<cursor>.
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function sendSocketFrame(socket, opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  if (!socket.destroyed) {
+    socket.write(Buffer.concat([header, payload]));
+  }
+}
+
+function sendSocketText(socket, text) {
+  sendSocketFrame(socket, 0x1, Buffer.from(text, 'utf8'));
+}
+
+// Returns { frames, rest } where rest is an incomplete trailing frame.
+function readSocketFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    if (length > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Frame too large'), { status: 1009 });
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = buffer.slice(cursor, cursor + maskLength);
+    const payload = Buffer.from(buffer.slice(cursor + maskLength, cursor + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+function handleChatSocket(req, socket, url) {
+  let session;
+  try {
+    session = getChatSession(url.searchParams.get('session'));
+  } catch (error) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const key = req.headers['sec-websocket-key'];
+  if (!key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  session.sockets.add(socket);
+
+  const since = parseInt(url.searchParams.get('since'), 10) || 0;
+  sendSocketText(socket, JSON.stringify({ events: getChatEvents(session, since), cursor: session.events.length }));
+
+  let buffered = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    try {
+      const { frames, rest } = readSocketFrames(Buffer.concat([buffered, chunk]));
+      buffered = rest;
+
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === 0x8) {
+          sendSocketFrame(socket, 0x8, Buffer.alloc(0));
+          socket.end();
+        } else if (opcode === 0x9) {
+          sendSocketFrame(socket, 0xA, payload);
+        } else if (opcode === 0x1) {
+          let event = null;
+          try {
+            event = JSON.parse(payload.toString('utf8'));
+            handleChatClientEvent(session, event);
+          } catch (error) {
+            // Echo the clientId so the page can mark that message as failed
+            const clientId = event && typeof event === 'object' ? event.clientId || null : null;
+            sendSocketText(socket, JSON.stringify({ error: error.message, clientId }));
+          }
+        }
+      });
+    } catch (error) {
+      socket.destroy();
+    }
+  });
+
+  const cleanup = () => session.sockets.delete(socket);
+  socket.on('close', cleanup);
+  socket.on('error', cleanup);
+}
+
+const routes = {
+  '/api/contact': { methods: ['GET', 'POST'], handler: handleContact },
+  '/api/email-domain': { methods: ['GET'], handler: handleEmailDomain },
+  '/api/schedule': { methods: ['GET', 'POST'], handler: handleSchedule },
+  '/api/chat/messages': { methods: ['POST'], handler: handleChatMessages },
+  '/api/chat/typing': { methods: ['POST'], handler: handleChatTyping },
+  '/api/chat/events': { methods: ['GET'], handler: handleChatEvents },
+  '/api/chat/session': { methods: ['GET', 'DELETE'], handler: handleChatSession }
+};
+
+async function handleApi(req, res, url) {
+  const route = routes[url.pathname];
+  if (!route) {
+    sendJSON(res, 404, { message: 'Not found' });
+    return;
+  }
+
+  if (!route.methods.includes(req.method)) {
+    res.setHeader('Allow', route.methods.join(', '));
+    sendJSON(res, 405, { message: 'Method not allowed' });
+    return;
+  }
+
+  const delay = parseInt(url.searchParams.get('delay'), 10);
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  const forcedStatus = parseInt(url.searchParams.get('status'), 10);
+  if (forcedStatus >= 400) {
+    sendJSON(res, forcedStatus, { message: `Simulated ${forcedStatus} response` });
+    return;
+  }
+
+  await route.handler(req, res, url);
+}
+
+// ===== Static Files =====
+function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Allow': 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Malformed URL');
+    return;
+  }
+  if (pathname.endsWith('/')) {
+    pathname += 'index.html';
+  }
+
+  // Dotfiles and dot-directories (.git, .env, ...) are never part of the site
+  const segments = pathname.split(/[\\/]/);
+  const filePath = path.resolve(ROOT, `.${pathname}`);
+  if (segments.some(segment => segment.startsWith('.')) || pathname.includes('\0')
+      || !filePath.startsWith(ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      fs.readFile(path.join(ROOT, '404.html'), (notFoundError, notFoundPage) => {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+        res.end(notFoundError ? 'Not found' : notFoundPage);
+      });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : content);
+  });
+}
+
+// ===== Server =====
+// Only the path and query are used, so the Host header (which the client
+// controls and may be malformed) is never parsed. Returns null for a
+// request target that isn't a valid URL.
+function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, 'http://localhost');
+  } catch (error) {
+    return null;
+  }
+}
+
+function createServer() {
+  const server = http.createServer((req, res) => {
+    const url = parseRequestUrl(req);
+    if (!url) {
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Malformed URL');
+      return;
+    }
+
+    if (!url.pathname.startsWith('/api/')) {
+      serveStatic(req, res, url);
+      return;
+    }
+
+    handleApi(req, res, url).catch(error => {
+      console.error('NovaWave dev server: API error', error);
+      if (error.status === 413) {
+        // Don't keep reading an oversized upload once it has been refused
+        res.setHeader('Connection', 'close');
+      }
+      sendJSON(res, error.status || 500, { message: error.message || 'Internal server error' });
+    });
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const url = parseRequestUrl(req);
+    if (!url) {
+      socket.destroy();
+      return;
+    }
+    if (url.pathname !== '/api/chat/socket' || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    handleChatSocket(req, socket, url);
+  });
+
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.PORT, 10) || DEFAULT_PORT;
+  createServer().listen(port, () => {
+    console.log(`NovaWave dev server running at http://localhost:${port}`);
+  });
+}
+
+module.exports = { createServer, routes, submissions, bookings, chatSessions };
@@ -3,52 +3,65 @@
   Provides offline functionality and caching
 */
 
-const CACHE_NAME = 'novawave-v1.0.0';
-const OFFLINE_URL = '/404.html';
-
-// Files to cache for offline functionality
-const CACHE_FILES = [
-  '/',
-  '/index.html',
-  '/features.html',
-  '/pricing.html',
-  '/about.html',
-  '/contact.html',
-  '/404.html',
-  '/assets/css/main.css',
-  '/assets/js/script.js',
-  '/manifest.json'
-];
-
-// Install event - cache files
+importScripts('/precache-manifest.js', '/assets/js/offline-queue.js');
+
+const PRECACHE = self.NOVAWAVE_PRECACHE;
+const CACHE_PREFIX = 'novawave-';
+const RUNTIME_VERSION = 'v1';
+const OFFLINE_URL = '/offline.html';
+
+// Pages never offered in the offline page's "available offline" list
+const OFFLINE_PAGE_EXCLUDES = ['/offline.html', '/404.html'];
+
+// Precache is keyed by the manifest hash; runtime caches by RUNTIME_VERSION
+const CACHES = {
+  precache: `${CACHE_PREFIX}precache-${PRECACHE.version}`,
+  pages: `${CACHE_PREFIX}pages-${RUNTIME_VERSION}`,
+  assets: `${CACHE_PREFIX}assets-${RUNTIME_VERSION}`,
+  images: `${CACHE_PREFIX}images-${RUNTIME_VERSION}`
+};
+
+const NETWORK_TIMEOUT = 3000;
+const IMAGE_CACHE_MAX_ENTRIES = 60;
+const IMAGE_CACHE_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+// Install event - precache the versioned manifest
 self.addEventListener('install', event => {
   console.log('NovaWave Service Worker: Installing...');
   
   event.waitUntil(
-    caches.open(CACHE_NAME)
+    caches.open(CACHES.precache)
       .then(cache => {
-        console.log('NovaWave Service Worker: Caching files');
-        return cache.addAll(CACHE_FILES);
+        console.log(`NovaWave Service Worker: Precaching ${PRECACHE.entries.length} files (${PRECACHE.version})`);
+        // Bypass the HTTP cache so a new revision is never filled with stale bytes
+        return cache.addAll(PRECACHE.entries.map(entry => new Request(entry.url, { cache: 'reload' })));
       })
       .then(() => {
+        // Updates wait until the page confirms with SKIP_WAITING, so code is
+        // never swapped underneath an open tab
         console.log('NovaWave Service Worker: All files cached');
-        return self.skipWaiting();
       })
       .catch(error => {
+        // Failing the install keeps the previous worker, and its complete
+        // precache, in control; the browser retries on the next update check
         console.error('NovaWave Service Worker: Cache failed', error);
+        throw error;
       })
   );
 });
 
-// Activate event - clean up old caches
+// Activate event - prune caches that no longer belong to this version
 self.addEventListener('activate', event => {
   console.log('NovaWave Service Worker: Activating...');
   
+  const currentCaches = Object.values(CACHES);
+
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName.startsWith(CACHE_PREFIX) && !currentCaches.includes(cacheName)) {
             console.log('NovaWave Service Worker: Deleting old cache', cacheName);
             return caches.delete(cacheName);
           }
@@ -61,78 +74,277 @@ self.addEventListener('activate', event => {
   );
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - route each request to a caching strategy
 self.addEventListener('fetch', event => {
+  const { request } = event;
+
   // Skip non-GET requests
-  if (event.request.method !== 'GET') {
+  if (request.method !== 'GET') {
     return;
   }
 
-  // Skip external requests
-  if (!event.request.url.startsWith(self.location.origin)) {
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  // API responses (chat long-polls included) must never be cached or timed out
+  if (isSameOrigin && url.pathname.startsWith('/api/')) {
     return;
   }
 
-  event.respondWith(
-    caches.match(event.request)
-      .then(cachedResponse => {
-        // Return cached version if available
-        if (cachedResponse) {
-          console.log('NovaWave Service Worker: Serving from cache', event.request.url);
-          return cachedResponse;
-        }
-
-        // Try to fetch from network
-        return fetch(event.request)
-          .then(response => {
-            // Don't cache non-successful responses
-            if (!response || response.status !== 200 || response.type !== 'basic') {
-              return response;
-            }
-
-            // Clone the response for caching
-            const responseToCache = response.clone();
-
-            caches.open(CACHE_NAME)
-              .then(cache => {
-                cache.put(event.request, responseToCache);
-              });
-
-            return response;
-          })
-          .catch(error => {
-            console.log('NovaWave Service Worker: Network fetch failed', error);
-            
-            // For navigation requests, serve the offline page
-            if (event.request.mode === 'navigate') {
-              return caches.match(OFFLINE_URL);
-            }
-            
-            // For other requests, you might want to return a default response
-            return new Response('Offline', {
-              status: 503,
-              statusText: 'Service Unavailable',
-              headers: new Headers({
-                'Content-Type': 'text/plain'
-              })
-            });
-          });
-      })
-  );
+  if (request.mode === 'navigate' && isSameOrigin) {
+    event.respondWith(networkFirst(request, CACHES.pages).catch(() => offlineResponse(request)));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, CACHES.images, {
+      maxEntries: IMAGE_CACHE_MAX_ENTRIES,
+      maxAge: IMAGE_CACHE_MAX_AGE
+    }).catch(() => offlineResponse(request)));
+    return;
+  }
+
+  // Skip other external requests
+  if (!isSameOrigin) {
+    return;
+  }
+
+  if (['style', 'script', 'manifest'].includes(request.destination) || /\.(css|js|json)$/.test(request.url)) {
+    event.respondWith(staleWhileRevalidate(request, CACHES.assets).catch(() => offlineResponse(request)));
+    return;
+  }
+
+  event.respondWith(networkFirst(request, CACHES.pages).catch(() => offlineResponse(request)));
 });
 
+// ===== Caching Strategies =====
+
+// Network first, falling back to the runtime cache and then the precache.
+// The timeout only applies when there is a cached copy to fall back to;
+// without one, a slow response is still better than the offline page.
+async function networkFirst(request, cacheName) {
+  const network = fetch(request).then(async response => {
+    if (isCacheable(response)) {
+      await putInCache(cacheName, request, response.clone());
+    }
+    return response;
+  });
+
+  const cached = await matchCache(cacheName, request) || await matchPrecache(request);
+  if (!cached) {
+    return network;
+  }
+
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT);
+  } catch (error) {
+    console.log('NovaWave Service Worker: Network fetch failed or timed out', request.url);
+    // A slow response still refreshes the cache once it arrives
+    network.catch(() => {});
+    return cached;
+  }
+}
+
+// Serve from cache immediately and refresh the cached copy in the background
+async function staleWhileRevalidate(request, cacheName) {
+  const cached = await matchCache(cacheName, request) || await matchPrecache(request);
+
+  const revalidate = fetch(request)
+    .then(async response => {
+      if (isCacheable(response)) {
+        await putInCache(cacheName, request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    revalidate.catch(() => {});
+    return cached;
+  }
+  return revalidate;
+}
+
+// Cache first with expiry and a bounded number of entries
+async function cacheFirst(request, cacheName, { maxEntries, maxAge }) {
+  const cached = await matchCache(cacheName, request);
+  if (cached && !isExpired(cached, maxAge)) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response) || response.type === 'opaque') {
+      await putInCache(cacheName, request, stampResponse(response.clone()));
+      await trimCache(cacheName, maxEntries);
+    }
+    return response;
+  } catch (error) {
+    // An expired copy is still better than nothing while offline
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+// ===== Cache Helpers =====
+function withTimeout(promise, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+    promise.then(
+      response => { clearTimeout(timer); resolve(response); },
+      error => { clearTimeout(timer); reject(error); }
+    );
+  });
+}
+
+function isCacheable(response) {
+  return response && response.status === 200 && response.type === 'basic';
+}
+
+async function matchCache(cacheName, request) {
+  const cache = await caches.open(cacheName);
+  return cache.match(request);
+}
+
+async function matchPrecache(request) {
+  const cache = await caches.open(CACHES.precache);
+  return cache.match(request, { ignoreSearch: true });
+}
+
+async function putInCache(cacheName, request, response) {
+  try {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+  } catch (error) {
+    console.error('NovaWave Service Worker: Failed to cache', request.url, error);
+  }
+}
+
+// Opaque responses can't be re-wrapped, so they are treated as never expiring
+function stampResponse(response) {
+  if (response.type === 'opaque') {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, Date.now().toString());
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+function isExpired(response, maxAge) {
+  const cachedAt = parseInt(response.headers.get(CACHED_AT_HEADER), 10);
+  return Boolean(cachedAt) && Date.now() - cachedAt > maxAge;
+}
+
+// Cache keys come back in insertion order, so the oldest entries go first
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+// Pages that can be opened offline, read from the precache and page cache
+async function getCachedPages() {
+  const pages = new Map();
+
+  for (const cacheName of [CACHES.precache, CACHES.pages]) {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+
+    for (const request of requests) {
+      const url = new URL(request.url);
+      const path = url.pathname === '/' ? '/index.html' : url.pathname;
+
+      if (url.origin !== self.location.origin || !path.endsWith('.html') ||
+          OFFLINE_PAGE_EXCLUDES.includes(path) || pages.has(path)) {
+        continue;
+      }
+
+      const response = await cache.match(request);
+      const html = response ? await response.text() : '';
+      const titleMatch = /<title>([^<]*)<\/title>/i.exec(html);
+      const title = titleMatch ? titleMatch[1].replace(/\s*—\s*NovaWave\s*$/, '').trim() : path;
+
+      pages.set(path, { url: path, title: path === '/index.html' ? 'Home' : title });
+    }
+  }
+
+  return Array.from(pages.values());
+}
+
+async function offlineResponse(request) {
+  if (request.mode === 'navigate') {
+    const offlinePage = await matchPrecache(new Request(OFFLINE_URL));
+    if (offlinePage) {
+      return offlinePage;
+    }
+  }
+
+  return new Response('Offline', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: new Headers({
+      'Content-Type': 'text/plain'
+    })
+  });
+}
+
 // Background sync for form submissions
 self.addEventListener('sync', event => {
-  if (event.tag === 'contact-form-sync') {
+  if (event.tag === self.NovaWaveOfflineQueue.SYNC_TAG) {
     console.log('NovaWave Service Worker: Background sync triggered');
     
     event.waitUntil(
-      // Handle offline form submissions here
-      handleOfflineFormSubmissions()
+      handleOfflineFormSubmissions(event.lastChance)
     );
   }
 });
 
+// Messages from the page
+self.addEventListener('message', event => {
+  const { type } = event.data || {};
+
+  switch (type) {
+    // The user accepted the update prompt
+    case 'SKIP_WAITING':
+      console.log('NovaWave Service Worker: Update confirmed, activating');
+      self.skipWaiting();
+      break;
+
+    // The offline page asks which pages it can link to
+    case 'GET_CACHED_PAGES':
+      if (event.ports[0]) {
+        event.waitUntil(
+          getCachedPages()
+            .then(pages => event.ports[0].postMessage({ pages }))
+            .catch(error => {
+              console.error('NovaWave Service Worker: Failed to list cached pages', error);
+              event.ports[0].postMessage({ pages: [] });
+            })
+        );
+      }
+      break;
+
+    // Manual replay for browsers without Background Sync
+    case 'REPLAY_FORM_QUEUE':
+      event.waitUntil(
+        handleOfflineFormSubmissions().catch(error => {
+          console.log('NovaWave Service Worker: Form replay incomplete', error);
+        })
+      );
+      break;
+  }
+});
+
 // Push notification handling
 self.addEventListener('push', event => {
   console.log('NovaWave Service Worker: Push message received');
@@ -176,9 +388,93 @@ self.addEventListener('notificationclick', event => {
   }
 });
 
-// Helper function for offline form submissions
-async function handleOfflineFormSubmissions() {
-  // This would handle any queued form submissions when back online
-  // Implementation depends on your backend API
+// Replay queued form submissions. Rejects while any remain pending so the
+// browser schedules another sync attempt. Every open tab asks for a replay
+// when it comes back online, so overlapping requests share the running one
+// instead of sending each entry again.
+let formReplay = null;
+
+function handleOfflineFormSubmissions(isLastChance = false) {
+  // The running replay may leave entries queued for a later sync, which a
+  // last-chance sync can't do, so it runs its own pass once that one ends
+  if (formReplay && isLastChance) {
+    return formReplay.catch(() => {}).then(() => handleOfflineFormSubmissions(true));
+  }
+
+  if (!formReplay) {
+    formReplay = replayOfflineFormSubmissions(isLastChance)
+      .finally(() => { formReplay = null; });
+  }
+  return formReplay;
+}
+
+async function replayOfflineFormSubmissions(isLastChance) {
   console.log('NovaWave Service Worker: Handling offline form submissions');
+
+  const queue = self.NovaWaveOfflineQueue;
+  const entries = await queue.getAll();
+  let pending = 0;
+
+  for (const entry of entries) {
+    const outcome = await replaySubmission(entry);
+    const attempts = entry.attempts + 1;
+
+    if (outcome.status === 'sent') {
+      await queue.remove(entry.id);
+      await notifyClients({ type: 'FORM_SYNC_SUCCESS', id: entry.id });
+    } else if (outcome.status === 'rejected' || isLastChance || attempts >= queue.MAX_ATTEMPTS) {
+      await queue.remove(entry.id);
+      await notifyClients({ type: 'FORM_SYNC_FAILED', id: entry.id, message: outcome.message });
+    } else {
+      await queue.update({ ...entry, attempts });
+      pending++;
+    }
+  }
+
+  if (pending > 0) {
+    throw new Error(`${pending} form submission(s) still pending`);
+  }
+}
+
+async function replaySubmission(entry) {
+  const init = { method: 'POST', headers: { 'Accept': 'application/json' } };
+
+  if (entry.transport === 'multipart') {
+    init.body = new FormData();
+    Object.entries(entry.fields).forEach(([key, value]) => init.body.append(key, value));
+  } else {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(entry.fields);
+  }
+
+  try {
+    const response = await fetch(entry.endpoint, init);
+    if (response.ok) {
+      return { status: 'sent' };
+    }
+
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    const payload = await response.json().catch(() => null);
+    return {
+      status: retryable ? 'retry' : 'rejected',
+      message: payload && payload.message
+        ? `We couldn't send your queued message: ${payload.message}`
+        : undefined
+    };
+  } catch (error) {
+    return { status: 'retry' };
+  }
+}
+
+// Replay results are shown once: in the focused tab, else a visible one,
+// else any open tab
+async function notifyClients(message) {
+  const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const client = windowClients.find(candidate => candidate.focused)
+    || windowClients.find(candidate => candidate.visibilityState === 'visible')
+    || windowClients[0];
+
+  if (client) {
+    client.postMessage(message);
+  }
 }
\ No newline at end of file